@@ -1,36 +1,97 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-// Middleware to verify JWT token
-exports.protect = async (req, res, next) => {
-  let token;
-  
-  // Get token from header
+// Extract the Bearer token from the Authorization header
+const getBearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  }
-  
-  // Check if token exists
-  if (!token) {
-    return res.status(401).json({ message: 'Not authorized to access this route' });
+    return req.headers.authorization.split(' ')[1];
   }
   
+  return null;
+};
+
+/**
+ * Verify a JWT and load its user, or return null if the token is invalid, its
+ * session has been revoked or expired, or the user no longer exists. The
+ * session ID is kept on the user's $locals for logout and session listing.
+ */
+const getUserFromToken = async (token) => {
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Tokens must belong to a live session
+    const session = decoded.sid && await Session.exists({
+      _id: decoded.sid,
+      user: decoded.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (!session) {
+      return null;
+    }
+    
     // Get user from the token
     const user = await User.findById(decoded.id).select('-password');
     
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    if (user) {
+      user.$locals.sessionId = decoded.sid;
     }
     
-    // Add user to request
-    req.user = user;
-    next();
+    return user;
   } catch (error) {
+    return null;
+  }
+};
+
+exports.getBearerToken = getBearerToken;
+exports.getUserFromToken = getUserFromToken;
+
+// Middleware to verify JWT token
+exports.protect = async (req, res, next) => {
+  // Get token from header
+  const token = getBearerToken(req);
+  
+  // Check if token exists
+  if (!token) {
+    return res.status(401).json({ message: 'Not authorized to access this route' });
+  }
+  
+  const user = await getUserFromToken(token);
+  
+  if (!user) {
     return res.status(401).json({ message: 'Not authorized to access this route' });
   }
+  
+  // Add user to request
+  req.user = user;
+  next();
+};
+
+// Middleware to restrict an action to users who verified their email; use after protect
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  
+  next();
+};
+
+// Middleware that attaches the user when a valid token is sent, but never rejects
+exports.optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  
+  if (token) {
+    // Invalid or expired tokens are treated as anonymous requests
+    const user = await getUserFromToken(token);
+    
+    if (user) {
+      req.user = user;
+    }
+  }
+  
+  next();
 };
@@ -0,0 +1,70 @@
+
+const { getRateLimitStore } = require('../utils/rateLimit');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Limit by user when the request is authenticated, otherwise by IP
+const getClientKey = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+/**
+ * Create a middleware allowing `max` requests per client in each `windowMs`
+ * window. Counters are kept per policy `name`, so one policy's instance can be
+ * shared between routes to give them a common budget. Mount it after `protect`
+ * or `optionalAuth` to key by user.
+ */
+const rateLimit = ({ name, windowMs, max, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await getRateLimitStore()
+        .increment(`${name}:${getClientKey(req)}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+      
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+      
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ message });
+      }
+      
+      next();
+    } catch (error) {
+      // Don't take the API down with the limiter's store
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Policies shared across routes
+const limits = {
+  api: rateLimit({ name: 'api', windowMs: 15 * MINUTE, max: 1000 }),
+  login: rateLimit({
+    name: 'login',
+    windowMs: 15 * MINUTE,
+    max: 20,
+    message: 'Too many login attempts, please try again later'
+  }),
+  register: rateLimit({ name: 'register', windowMs: HOUR, max: 10 }),
+  refresh: rateLimit({
+    name: 'refresh',
+    windowMs: 15 * MINUTE,
+    max: 60,
+    message: 'Too many token refreshes, please try again later'
+  }),
+  accountEmail: rateLimit({ name: 'account-email', windowMs: HOUR, max: 10 }),
+  accountChange: rateLimit({ name: 'account-change', windowMs: HOUR, max: 10 }),
+  dataExport: rateLimit({ name: 'data-export', windowMs: 24 * HOUR, max: 3 }),
+  tweet: rateLimit({ name: 'tweet', windowMs: 15 * MINUTE, max: 50 }),
+  engagement: rateLimit({ name: 'engagement', windowMs: 15 * MINUTE, max: 300 }),
+  follow: rateLimit({ name: 'follow', windowMs: 15 * MINUTE, max: 50 }),
+  message: rateLimit({ name: 'message', windowMs: MINUTE, max: 30 }),
+  upload: rateLimit({ name: 'upload', windowMs: HOUR, max: 60 })
+};
+
+module.exports = { rateLimit, limits };
@@ -0,0 +1,66 @@
+
+const multer = require('multer');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_FILES = 4;
+
+// Allowed image types and the file signature each must start with
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/gif': { extension: 'gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46] }
+};
+
+// Check that a buffer really contains the image type it claims to be
+const matchesSignature = (buffer, mimeType) => {
+  const { signature } = IMAGE_TYPES[mimeType];
+  
+  if (!signature.every((byte, i) => buffer[i] === byte)) return false;
+  
+  // WebP is a RIFF container; the format tag follows the chunk size
+  return mimeType !== 'image/webp' || buffer.toString('ascii', 8, 12) === 'WEBP';
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      req.invalidFileType = true;
+      return cb(null, false);
+    }
+    
+    cb(null, true);
+  }
+});
+
+// Middleware to accept image uploads in the `files` field
+exports.uploadImages = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'Images cannot exceed 5MB',
+        LIMIT_FILE_COUNT: `You can upload at most ${MAX_FILES} images at once`,
+        LIMIT_UNEXPECTED_FILE: `Images must be sent in the "files" field, at most ${MAX_FILES} at once`
+      };
+      
+      return res.status(400).json({ message: messages[err.code] || err.message });
+    }
+    
+    if (err) return next(err);
+    
+    // Reject disallowed types and files whose contents don't match their declared type
+    const invalid = req.invalidFileType ||
+      (req.files || []).some(file => !matchesSignature(file.buffer, file.mimetype));
+    
+    if (invalid) {
+      return res.status(400).json({ message: 'Only JPEG, PNG, GIF and WebP images are allowed' });
+    }
+    
+    next();
+  });
+};
+
+exports.IMAGE_TYPES = IMAGE_TYPES;
+exports.MAX_FILES = MAX_FILES;
@@ -0,0 +1,31 @@
+
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  // Optional collection the bookmark is filed under
+  bookmarkCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookmarkCollection',
+    default: null
+  }
+}, { timestamps: true });
+
+// A tweet can only be bookmarked once per user
+bookmarkSchema.index({ user: 1, tweet: 1 }, { unique: true });
+
+// Index for faster queries
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ user: 1, bookmarkCollection: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ tweet: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,56 @@
+
+const mongoose = require('mongoose');
+
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Messages up to this time have been read; drives read receipts and unread counts
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  participants: {
+    type: [participantSchema],
+    required: true
+  },
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Find a participant entry by user ID
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => (p.user._id || p.user).toString() === userId.toString());
+};
+
+// Index for faster queries
+conversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
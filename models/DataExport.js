@@ -0,0 +1,40 @@
+
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Archive file name inside the export directory, set once it is written
+  file: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Ready archives are deleted after this
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Index for faster queries
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,25 @@
+
+const mongoose = require('mongoose');
+
+// One user following another
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+// A user can only follow another once
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Indexes for paginated follower and following lists
+followSchema.index({ following: 1, createdAt: -1, _id: -1 });
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,25 @@
+
+const mongoose = require('mongoose');
+
+// One user liking a tweet
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  }
+}, { timestamps: true });
+
+// A tweet can only be liked once per user
+likeSchema.index({ user: 1, tweet: 1 }, { unique: true });
+
+// Indexes for the list of who liked a tweet and a user's recent likes
+likeSchema.index({ tweet: 1, createdAt: -1, _id: -1 });
+likeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,52 @@
+
+const mongoose = require('mongoose');
+
+const listSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 25
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  // Private lists are only visible to their owner
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { timestamps: true });
+
+// Virtual for member count
+listSchema.virtual('memberCount').get(function() {
+  return this.members.length;
+});
+
+// Virtual for subscriber count
+listSchema.virtual('subscriberCount').get(function() {
+  return this.subscribers.length;
+});
+
+// Index for faster queries
+listSchema.index({ owner: 1, createdAt: -1 });
+listSchema.index({ members: 1 });
+listSchema.index({ subscribers: 1 });
+
+module.exports = mongoose.model('List', listSchema);
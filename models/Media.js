@@ -0,0 +1,54 @@
+
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, { timestamps: true });
+
+// Find media by ID owned by a user, or null if any of them is missing
+mediaSchema.statics.findOwned = async function(ids, owner) {
+  const uniqueIds = [...new Set(ids.map(String))];
+  
+  if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) {
+    return null;
+  }
+  
+  const media = await this.find({ _id: { $in: uniqueIds }, owner });
+  
+  if (media.length !== uniqueIds.length) {
+    return null;
+  }
+  
+  // Keep the order the client attached them in
+  const mediaById = new Map(media.map(item => [item._id.toString(), item]));
+  return uniqueIds.map(id => mediaById.get(id));
+};
+
+// Index for faster queries
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
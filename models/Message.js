@@ -0,0 +1,25 @@
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  }
+}, { timestamps: true });
+
+// Index for faster queries
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+const { pushNotification } = require('../utils/realtime');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -14,13 +15,17 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['like', 'retweet', 'reply', 'follow', 'mention'],
+    enum: ['like', 'retweet', 'reply', 'quote', 'follow', 'follow_request', 'follow_accept', 'mention', 'message'],
     required: true
   },
   tweet: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
   },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
   read: {
     type: Boolean,
     default: false
@@ -31,6 +36,18 @@ const notificationSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Push new notifications to the recipient's open streams
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) {
+    pushNotification(doc).catch(error => console.error('Push notification error:', error));
+  }
+});
+
 // Index for faster queries
 notificationSchema.index({ recipient: 1, createdAt: -1 });
 notificationSchema.index({ read: 1 });
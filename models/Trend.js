@@ -5,7 +5,8 @@ const trendSchema = new mongoose.Schema({
   hashtag: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    lowercase: true
   },
   tweetCount: {
     type: Number,
@@ -14,6 +15,10 @@ const trendSchema = new mongoose.Schema({
   category: {
     type: String,
     default: 'Trending'
+  },
+  lastTweetAt: {
+    type: Date,
+    default: null
   }
 }, { timestamps: true });
 
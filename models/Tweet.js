@@ -9,17 +9,21 @@ const tweetSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true,
+    // Retweet entries and media-only chirps carry no text
+    required: function() {
+      return !this.retweetData && this.media.length === 0;
+    },
     maxlength: 280
   },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  retweets: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Kept in step with Like records and retweet entries
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  retweetCount: {
+    type: Number,
+    default: 0
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet',
@@ -30,23 +34,40 @@ const tweetSchema = new mongoose.Schema({
     ref: 'Tweet',
     default: null
   },
+  quoteTweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    default: null
+  },
   media: [{
-    type: String
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  hashtags: [{
+    type: String,
+    lowercase: true
   }]
 }, { timestamps: true });
 
-// Virtual for like count
-tweetSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
-});
-
-// Virtual for retweet count
-tweetSchema.virtual('retweetCount').get(function() {
-  return this.retweets.length;
-});
-
 // Index for faster queries
 tweetSchema.index({ user: 1, createdAt: -1 });
-tweetSchema.index({ replyTo: 1 });
+tweetSchema.index({ replyTo: 1, createdAt: 1 });
+tweetSchema.index({ retweetData: 1 });
+tweetSchema.index({ quoteTweet: 1, createdAt: -1 });
+tweetSchema.index({ hashtags: 1, createdAt: -1 });
+tweetSchema.index({ mentions: 1, createdAt: -1 });
+
+// Trending hashtags are ranked over recent tweets of any author
+tweetSchema.index({ createdAt: -1 });
+
+// A retweet entry is the record of a retweet, so a user can only have one per tweet
+tweetSchema.index(
+  { user: 1, retweetData: 1 },
+  { unique: true, partialFilterExpression: { retweetData: { $type: 'objectId' } } }
+);
 
 module.exports = mongoose.model('Tweet', tweetSchema);
@@ -24,6 +24,10 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
     required: true,
@@ -47,16 +51,67 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  followers: [{
+  // Follow edges live in the Follow collection; these counts are kept in step with them
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Secrets are excluded from queries unless explicitly selected
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  isProtected: {
+    type: Boolean,
+    default: false
+  },
+  followRequests: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  following: [{
+  blocked: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  muted: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Accounts the user asked not to be suggested again
+  dismissedSuggestions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }]
 }, { timestamps: true });
 
+// Index for looking up who has blocked a user
+userSchema.index({ blocked: 1 });
+
+// Index for finding popular accounts
+userSchema.index({ followerCount: -1 });
+
 // Pre-save hook to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -75,14 +130,4 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Virtual for follower count
-userSchema.virtual('followerCount').get(function() {
-  return this.followers.length;
-});
-
-// Virtual for following count
-userSchema.virtual('followingCount').get(function() {
-  return this.following.length;
-});
-
 module.exports = mongoose.model('User', userSchema);
@@ -1,18 +1,49 @@
 
 const express = require('express');
 const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const Session = require('../models/Session');
+const { createSession, rotateSession, revokeSessions } = require('../utils/sessions');
+const { consumeAuthToken } = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_FIELDS,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateBackupCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const { getLockout, recordLoginFailure, clearLoginFailures } = require('../utils/loginAttempts');
 const { protect } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// User fields returned after a successful sign-in
+const formatAuthUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  profileImage: user.profileImage,
+  bio: user.bio
+});
+
+// Reject a sign-in for an account locked after repeated failures
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message: 'Too many failed login attempts, please try again later' });
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', [
+router.post('/register', limits.register, [
   check('name', 'Name is required').not().isEmpty(),
   check('username', 'Username is required').not().isEmpty(),
   check('email', 'Please include a valid email').isEmail(),
@@ -48,11 +79,16 @@ router.post('/register', [
     
     await user.save();
     
+    // Ask the user to prove they own the email address; they can ask again if this fails
+    await sendVerificationEmail(user)
+      .catch(error => console.error('Send verification email error:', error));
+    
     res.status(201).json({
       _id: user._id,
       name: user.name,
       username: user.username,
-      email: user.email
+      email: user.email,
+      emailVerified: user.emailVerified
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -65,7 +101,7 @@ router.post('/register', [
  * @desc    Authenticate user & get token
  * @access  Public
  */
-router.post('/login', [
+router.post('/login', limits.login, [
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password is required').exists()
 ], async (req, res) => {
@@ -78,10 +114,18 @@ router.post('/login', [
   const { email, password } = req.body;
   
   try {
+    // Locked accounts are refused before the password is checked
+    const retryAfter = await getLockout(email);
+    
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+    
     // Find user by email
     const user = await User.findOne({ email });
     
     if (!user) {
+      await recordLoginFailure(email);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
@@ -89,22 +133,27 @@ router.post('/login', [
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
+      await recordLoginFailure(email);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+    
+    await clearLoginFailures(email);
+    
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
     
     res.json({
       token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        username: user.username,
-        email: user.email,
-        profileImage: user.profileImage,
-        bio: user.bio
-      }
+      refreshToken,
+      user: formatAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -127,4 +176,448 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email', limits.accountEmail, [
+  check('token', 'Token is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'email_verification');
+    
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+    
+    // The token only confirms the address it was sent to
+    const result = await User.updateOne(
+      { _id: authToken.user, email: authToken.email },
+      { emailVerified: true }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+    
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email
+ * @access  Private
+ */
+router.post('/resend-verification', protect, limits.accountEmail, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', limits.accountEmail, [
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    
+    // Same response either way, so this can't be used to find accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset email
+ * @access  Public
+ */
+router.post('/reset-password', limits.accountEmail, [
+  check('token', 'Token is required').isString().notEmpty(),
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'password_reset');
+    const user = authToken && await User.findById(authToken.user);
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+    
+    user.password = req.body.password;
+    
+    // Following the emailed link proves ownership of the address
+    if (user.email === authToken.email) {
+      user.emailVerified = true;
+    }
+    
+    await user.save();
+    
+    // Sign out everywhere, in case the old password was compromised
+    await revokeSessions(user._id);
+    
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a 2FA login with an authenticator or backup code
+ * @access  Public
+ */
+router.post('/2fa/verify', limits.login, [
+  check('challengeToken', 'Challenge token is required').isString().notEmpty(),
+  check('code', 'An authenticator code or backup code is required')
+    .if((value, { req }) => !req.body.backupCode).isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    const user = userId && await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+    
+    // Wrong codes count towards the same lockout as wrong passwords
+    const retryAfter = await getLockout(user.email);
+    
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+    
+    if (!verifySecondFactor(user, req.body)) {
+      await recordLoginFailure(user.email);
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+    
+    await user.save();
+    await clearLoginFailures(user.email);
+    
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
+    
+    res.json({
+      token,
+      refreshToken,
+      user: formatAuthUser(user)
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment and get the authenticator provisioning URI
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    // Not active until confirmed with a first code
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.username, 'Chirp')
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm 2FA enrollment with a first code and get backup codes
+ * @access  Private
+ */
+router.post('/2fa/confirm', protect, [
+  check('code', 'Code is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.lastUsedStep = 0;
+    
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    // Backup codes are only ever shown once
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace backup codes after re-entering the password
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', protect, [
+  check('password', 'Password is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    res.json({ backupCodes: codes });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA after re-entering the password and a current code
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, [
+  check('password', 'Password is required').isString().notEmpty(),
+  check('code', 'An authenticator code or backup code is required')
+    .if((value, { req }) => !req.body.backupCode).isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!(await user.comparePassword(req.body.password)) || !verifySecondFactor(user, req.body)) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public
+ */
+router.post('/refresh', limits.refresh, [
+  check('refreshToken', 'Refresh token is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out of the current session
+ * @access  Private
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSessions(req.user._id, { _id: req.user.$locals.sessionId });
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out of every session on every device
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeSessions(req.user._id);
+    
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      isCurrent: session._id.toString() === req.user.$locals.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    const result = await revokeSessions(req.user._id, { _id: req.params.id });
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
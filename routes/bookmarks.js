@@ -0,0 +1,194 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const { protect } = require('../middleware/auth');
+const { CURSOR_SORT, parsePagination, withCursor, buildPage } = require('../utils/pagination');
+const { tweetPopulate, formatTweets } = require('../utils/formatTweets');
+
+const router = express.Router();
+
+// Load a collection belonging to the current user, or null
+const findCollection = async (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  
+  return BookmarkCollection.findOne({ _id: id, user: userId });
+};
+
+// Validate a collection name from the request body, returning an error message or null
+const validateName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Collection name is required';
+  }
+  
+  if (name.trim().length > 50) {
+    return 'Collection name cannot exceed 50 characters';
+  }
+  
+  return null;
+};
+
+/**
+ * @route   GET /api/bookmarks
+ * @desc    Get bookmarked tweets, newest first, optionally by collection ID (or `none`)
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    const filter = { user: req.user._id };
+    
+    if (req.query.collection === 'none') {
+      filter.bookmarkCollection = null;
+    } else if (req.query.collection) {
+      const collection = await findCollection(req.query.collection, req.user._id);
+      
+      if (!collection) {
+        return res.status(404).json({ message: 'Collection not found' });
+      }
+      
+      filter.bookmarkCollection = collection._id;
+    }
+    
+    const bookmarks = await Bookmark.find(withCursor(filter, page))
+      .populate({ path: 'tweet', populate: tweetPopulate })
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(bookmarks, page);
+    
+    res.json({
+      tweets: await formatTweets(items.map(bookmark => bookmark.tweet).filter(Boolean), req.user),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/bookmarks/collections
+ * @desc    Get the current user's bookmark collections
+ * @access  Private
+ */
+router.get('/collections', protect, async (req, res) => {
+  try {
+    const collections = await BookmarkCollection.find({ user: req.user._id }).sort({ name: 1 });
+    
+    const counts = await Bookmark.aggregate([
+      { $match: { user: req.user._id, bookmarkCollection: { $ne: null } } },
+      { $group: { _id: '$bookmarkCollection', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+    
+    res.json(collections.map(collection => ({
+      _id: collection._id,
+      name: collection.name,
+      bookmarkCount: countById.get(collection._id.toString()) || 0,
+      createdAt: collection.createdAt
+    })));
+  } catch (error) {
+    console.error('Get bookmark collections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/bookmarks/collections
+ * @desc    Create a bookmark collection
+ * @access  Private
+ */
+router.post('/collections', protect, async (req, res) => {
+  try {
+    const error = validateName(req.body.name);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const name = req.body.name.trim();
+    
+    if (await BookmarkCollection.exists({ user: req.user._id, name })) {
+      return res.status(400).json({ message: 'You already have a collection with that name' });
+    }
+    
+    const collection = await BookmarkCollection.create({ user: req.user._id, name });
+    
+    res.status(201).json({
+      _id: collection._id,
+      name: collection.name,
+      bookmarkCount: 0,
+      createdAt: collection.createdAt
+    });
+  } catch (error) {
+    console.error('Create bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/bookmarks/collections/:id
+ * @desc    Rename a bookmark collection
+ * @access  Private
+ */
+router.put('/collections/:id', protect, async (req, res) => {
+  try {
+    const error = validateName(req.body.name);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const collection = await findCollection(req.params.id, req.user._id);
+    
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    
+    const name = req.body.name.trim();
+    
+    if (await BookmarkCollection.exists({ user: req.user._id, name, _id: { $ne: collection._id } })) {
+      return res.status(400).json({ message: 'You already have a collection with that name' });
+    }
+    
+    collection.name = name;
+    await collection.save();
+    
+    res.json({ _id: collection._id, name: collection.name });
+  } catch (error) {
+    console.error('Rename bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/bookmarks/collections/:id
+ * @desc    Delete a bookmark collection; its bookmarks are kept but no longer filed
+ * @access  Private
+ */
+router.delete('/collections/:id', protect, async (req, res) => {
+  try {
+    const collection = await findCollection(req.params.id, req.user._id);
+    
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    
+    await Bookmark.updateMany({ bookmarkCollection: collection._id }, { bookmarkCollection: null });
+    await collection.deleteOne();
+    
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Delete bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
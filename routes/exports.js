@@ -0,0 +1,112 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const { protect } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { exportPath, queueExport, removeExports } = require('../utils/dataExport');
+
+const router = express.Router();
+
+// Format an export's status for response
+const formatExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl: dataExport.status === 'ready' ? `/api/exports/${dataExport._id}/download` : null
+});
+
+// Load an export belonging to the current user, or null
+const findExport = async (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  
+  return DataExport.findOne({ _id: id, user: userId });
+};
+
+/**
+ * @route   POST /api/exports
+ * @desc    Request an archive of the current user's data
+ * @access  Private
+ */
+router.post('/', protect, limits.dataExport, async (req, res) => {
+  try {
+    const inProgress = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+    
+    if (inProgress) {
+      return res.status(409).json({
+        message: 'An export is already in progress',
+        export: formatExport(inProgress)
+      });
+    }
+    
+    // Only the latest archive is kept
+    await removeExports(await DataExport.find({ user: req.user._id }));
+    
+    const dataExport = await DataExport.create({ user: req.user._id });
+    queueExport(dataExport);
+    
+    res.status(202).json(formatExport(dataExport));
+  } catch (error) {
+    console.error('Request export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/exports/:id
+ * @desc    Get the status of a data export
+ * @access  Private
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const dataExport = await findExport(req.params.id, req.user._id);
+    
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    
+    res.json(formatExport(dataExport));
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/exports/:id/download
+ * @desc    Download a finished data export as JSON
+ * @access  Private
+ */
+router.get('/:id/download', protect, async (req, res) => {
+  try {
+    const dataExport = await findExport(req.params.id, req.user._id);
+    
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    
+    if (dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Export is not ready' });
+    }
+    
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    
+    res.download(exportPath(dataExport.file), `chirp-${req.user.username}-${date}.json`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download export error:', error);
+        res.status(500).json({ message: 'Server error' });
+      }
+    });
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,476 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { CURSOR_SORT, parsePagination, withCursor, buildPage } = require('../utils/pagination');
+const { USER_FIELDS, tweetPopulate, formatTweets } = require('../utils/formatTweets');
+const { getBlockedUserIds, isBlockedBetween } = require('../utils/relationships');
+
+const router = express.Router();
+
+// Maximum number of accounts on a single list
+const MAX_LIST_MEMBERS = 500;
+
+// Format a list for response
+const formatList = (list, viewer) => ({
+  _id: list._id,
+  name: list.name,
+  description: list.description,
+  isPrivate: list.isPrivate,
+  owner: list.owner,
+  memberCount: list.memberCount,
+  subscriberCount: list.subscriberCount,
+  isSubscribed: viewer ? list.subscribers.some(id => id.equals(viewer._id)) : false,
+  createdAt: list.createdAt
+});
+
+// ID of a list's owner, whether or not it has been populated
+const ownerId = (list) => list.owner._id || list.owner;
+
+const isOwner = (list, viewer) => Boolean(viewer) && ownerId(list).equals(viewer._id);
+
+/**
+ * Load a list the viewer may see, or null. Private lists are only visible to
+ * their owner, and lists are hidden between users blocked in either direction.
+ */
+const findVisibleList = async (id, viewer) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  
+  const list = await List.findById(id).populate('owner', USER_FIELDS);
+  
+  if (!list || !list.owner) return null;
+  
+  if (isOwner(list, viewer)) return list;
+  
+  if (list.isPrivate) return null;
+  
+  if (viewer && await isBlockedBetween(viewer._id, ownerId(list))) return null;
+  
+  return list;
+};
+
+// Validate list fields from the request body, returning an error message or null
+const validateList = ({ name, description }, requireName) => {
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return 'List name is required';
+    }
+    
+    if (name.trim().length > 25) {
+      return 'List name cannot exceed 25 characters';
+    }
+  }
+  
+  if (description !== undefined && (typeof description !== 'string' || description.length > 100)) {
+    return 'Description cannot exceed 100 characters';
+  }
+  
+  return null;
+};
+
+/**
+ * @route   GET /api/lists
+ * @desc    Get lists the current user owns or subscribes to
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const [owned, subscribed] = await Promise.all([
+      List.find({ owner: req.user._id }).populate('owner', USER_FIELDS).sort({ createdAt: -1 }),
+      List.find({ subscribers: req.user._id, isPrivate: false })
+        .populate('owner', USER_FIELDS)
+        .sort({ createdAt: -1 })
+    ]);
+    
+    res.json({
+      owned: owned.map(list => formatList(list, req.user)),
+      subscribed: subscribed.map(list => formatList(list, req.user))
+    });
+  } catch (error) {
+    console.error('Get lists error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/lists/user/:username
+ * @desc    Get a user's public lists (and private ones, for the owner)
+ * @access  Public
+ */
+router.get('/user/:username', optionalAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    
+    if (!user || (req.user && await isBlockedBetween(req.user._id, user._id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const filter = { owner: user._id };
+    
+    if (!req.user || !req.user._id.equals(user._id)) {
+      filter.isPrivate = false;
+    }
+    
+    const lists = await List.find(filter).populate('owner', USER_FIELDS).sort({ createdAt: -1 });
+    
+    res.json(lists.map(list => formatList(list, req.user)));
+  } catch (error) {
+    console.error('Get user lists error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/lists
+ * @desc    Create a list
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+  try {
+    const error = validateList(req.body, true);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const list = await List.create({
+      owner: req.user._id,
+      name: req.body.name,
+      description: req.body.description || '',
+      isPrivate: Boolean(req.body.isPrivate)
+    });
+    
+    await list.populate('owner', USER_FIELDS);
+    
+    res.status(201).json(formatList(list, req.user));
+  } catch (error) {
+    console.error('Create list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/lists/:id
+ * @desc    Get a list
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    res.json(formatList(list, req.user));
+  } catch (error) {
+    console.error('Get list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/lists/:id
+ * @desc    Update a list's name, description or privacy
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (!isOwner(list, req.user)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const error = validateList(req.body, false);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const { name, description, isPrivate } = req.body;
+    
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    
+    if (isPrivate !== undefined) {
+      list.isPrivate = Boolean(isPrivate);
+      
+      // Subscribers lose access to a list that goes private
+      if (list.isPrivate) list.subscribers = [];
+    }
+    
+    await list.save();
+    
+    res.json(formatList(list, req.user));
+  } catch (error) {
+    console.error('Update list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/lists/:id
+ * @desc    Delete a list
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (!isOwner(list, req.user)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    await list.deleteOne();
+    
+    res.json({ message: 'List deleted successfully' });
+  } catch (error) {
+    console.error('Delete list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/lists/:id/members
+ * @desc    Get the accounts on a list
+ * @access  Public
+ */
+router.get('/:id/members', optionalAuth, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    await list.populate('members', USER_FIELDS);
+    
+    res.json(list.members);
+  } catch (error) {
+    console.error('Get list members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/lists/:id/members
+ * @desc    Add an account to a list
+ * @access  Private
+ */
+router.post('/:id/members', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (!isOwner(list, req.user)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    const { userId } = req.body;
+    const member = mongoose.isValidObjectId(userId) && await User.findById(userId).select('_id');
+    
+    if (!member) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (await isBlockedBetween(req.user._id, member._id)) {
+      return res.status(403).json({ message: 'You cannot add this user to a list' });
+    }
+    
+    if (list.members.some(id => id.equals(member._id))) {
+      return res.status(400).json({ message: 'User is already on this list' });
+    }
+    
+    if (list.members.length >= MAX_LIST_MEMBERS) {
+      return res.status(400).json({ message: `Lists can have at most ${MAX_LIST_MEMBERS} members` });
+    }
+    
+    list.members.push(member._id);
+    await list.save();
+    
+    res.json({ message: 'User added to list' });
+  } catch (error) {
+    console.error('Add list member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/lists/:id/members/:userId
+ * @desc    Remove an account from a list
+ * @access  Private
+ */
+router.delete('/:id/members/:userId', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (!isOwner(list, req.user)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    if (!list.members.some(id => id.toString() === req.params.userId)) {
+      return res.status(400).json({ message: 'User is not on this list' });
+    }
+    
+    list.members.pull(req.params.userId);
+    await list.save();
+    
+    res.json({ message: 'User removed from list' });
+  } catch (error) {
+    console.error('Remove list member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/lists/:id/timeline
+ * @desc    Get tweets from a list's members
+ * @access  Public
+ */
+router.get('/:id/timeline', optionalAuth, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    // Leave out blocked and, when signed in, muted accounts; protected ones the viewer
+    // doesn't follow are dropped when formatting
+    const hiddenIds = [
+      ...(await getBlockedUserIds(req.user)),
+      ...(req.user ? req.user.muted : [])
+    ];
+    
+    const tweets = await Tweet.find(withCursor({
+      user: { $in: list.members, $nin: hiddenIds },
+      replyTo: null // Exclude replies, as in the home timeline
+    }, page))
+    .populate(tweetPopulate)
+    .sort(CURSOR_SORT)
+    .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(tweets, page);
+    
+    // Format tweets for response, dropping retweets of muted users
+    const formattedTweets = await formatTweets(items, req.user, { hideMuted: true });
+    
+    res.json({ tweets: formattedTweets, nextCursor });
+  } catch (error) {
+    console.error('Get list timeline error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/lists/:id/subscribe
+ * @desc    Subscribe to a public list
+ * @access  Private
+ */
+router.post('/:id/subscribe', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (isOwner(list, req.user)) {
+      return res.status(400).json({ message: 'You cannot subscribe to your own list' });
+    }
+    
+    if (list.subscribers.some(id => id.equals(req.user._id))) {
+      return res.status(400).json({ message: 'Already subscribed to this list' });
+    }
+    
+    list.subscribers.push(req.user._id);
+    await list.save();
+    
+    res.json({ message: 'Subscribed to list' });
+  } catch (error) {
+    console.error('Subscribe to list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/lists/:id/unsubscribe
+ * @desc    Unsubscribe from a list
+ * @access  Private
+ */
+router.post('/:id/unsubscribe', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    // No visibility check, so users can always leave a list
+    const result = await List.updateOne(
+      { _id: req.params.id, subscribers: req.user._id },
+      { $pull: { subscribers: req.user._id } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ message: 'Not subscribed to this list' });
+    }
+    
+    res.json({ message: 'Unsubscribed from list' });
+  } catch (error) {
+    console.error('Unsubscribe from list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/lists/:id/subscribers
+ * @desc    Get the users subscribed to a list
+ * @access  Private
+ */
+router.get('/:id/subscribers', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req.params.id, req.user);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    // Only the owner sees who subscribes
+    if (!isOwner(list, req.user)) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    await list.populate('subscribers', USER_FIELDS);
+    
+    res.json(list.subscribers);
+  } catch (error) {
+    console.error('Get list subscribers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
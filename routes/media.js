@@ -0,0 +1,89 @@
+
+const crypto = require('crypto');
+const express = require('express');
+const Media = require('../models/Media');
+const Tweet = require('../models/Tweet');
+const { protect, requireVerified } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { uploadImages, IMAGE_TYPES } = require('../middleware/upload');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/media
+ * @desc    Upload images to attach to tweets or use as a profile image
+ * @access  Private
+ */
+router.post('/', protect, limits.upload, requireVerified, uploadImages, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+    
+    const storage = getStorage();
+    
+    const uploaded = [];
+    
+    for (const file of req.files) {
+      const key = `${crypto.randomUUID()}.${IMAGE_TYPES[file.mimetype].extension}`;
+      const { url } = await storage.save({ key, buffer: file.buffer, mimeType: file.mimetype });
+      
+      const media = await Media.create({
+        owner: req.user._id,
+        storage: storage.name,
+        key,
+        url,
+        mimeType: file.mimetype,
+        size: file.size
+      });
+      
+      uploaded.push({
+        _id: media._id,
+        url: media.url,
+        mimeType: media.mimeType,
+        size: media.size
+      });
+    }
+    
+    res.status(201).json(uploaded);
+  } catch (error) {
+    console.error('Upload media error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/media/:id
+ * @desc    Delete an uploaded image
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+    
+    // Check if user owns the media
+    if (media.owner.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    // Keep images that chirps still display
+    if (await Tweet.exists({ media: media._id })) {
+      return res.status(400).json({ message: 'Media is attached to a chirp' });
+    }
+    
+    await getStorage(media.storage).remove(media.key);
+    await media.deleteOne();
+    
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,368 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { protect, requireVerified } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { canMessage } = require('../utils/relationships');
+const { CURSOR_SORT, parsePagination, withCursor, buildPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Maximum number of people in a group conversation, including its creator
+const MAX_GROUP_SIZE = 10;
+
+// Maximum length of a group conversation's name
+const MAX_GROUP_NAME_LENGTH = 50;
+
+// ID of a participant's user, whether or not it has been populated
+const participantId = (participant) => (participant.user._id || participant.user).toString();
+
+// Count unread messages per conversation for a user in a single query
+const getUnreadCounts = async (conversations, userId) => {
+  if (conversations.length === 0) return new Map();
+  
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        sender: { $ne: userId },
+        $or: conversations.map(conversation => ({
+          conversation: conversation._id,
+          createdAt: { $gt: conversation.getParticipant(userId).lastReadAt }
+        }))
+      }
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+  
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Format a conversation for response
+const formatConversation = (conversation, unreadCounts) => ({
+  _id: conversation._id,
+  isGroup: conversation.isGroup,
+  name: conversation.name,
+  participants: conversation.participants.map(p => p.user),
+  lastMessage: conversation.lastMessage,
+  lastMessageAt: conversation.lastMessageAt,
+  unreadCount: unreadCounts.get(conversation._id.toString()) || 0
+});
+
+// Format a message for response, with read receipts from the other participants
+const formatMessage = (message, conversation) => {
+  const senderId = (message.sender._id || message.sender).toString();
+  
+  return {
+    _id: message._id,
+    conversation: message.conversation,
+    sender: message.sender,
+    content: message.content,
+    createdAt: message.createdAt,
+    readBy: conversation.participants
+      .filter(p => participantId(p) !== senderId && p.lastReadAt >= message.createdAt)
+      .map(p => p.user._id || p.user)
+  };
+};
+
+// Load a conversation the current user takes part in, or null
+const findConversation = async (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  
+  return Conversation.findOne({ _id: id, 'participants.user': userId });
+};
+
+/**
+ * @route   GET /api/messages/conversations
+ * @desc    Get the current user's conversations, most recently active first
+ * @access  Private
+ */
+router.get('/conversations', protect, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ 'participants.user': req.user._id })
+      .populate('participants.user', 'name username profileImage')
+      .populate('lastMessage', 'sender content createdAt')
+      .sort({ lastMessageAt: -1 })
+      .limit(50);
+    
+    const unreadCounts = await getUnreadCounts(conversations, req.user._id);
+    
+    res.json(conversations.map(conversation => formatConversation(conversation, unreadCounts)));
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/messages/unread-count
+ * @desc    Get the number of unread messages across all conversations
+ * @access  Private
+ */
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ 'participants.user': req.user._id })
+      .select('participants');
+    
+    const unreadCounts = await getUnreadCounts(conversations, req.user._id);
+    const unreadCount = [...unreadCounts.values()].reduce((sum, count) => sum + count, 0);
+    
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/messages/conversations
+ * @desc    Start a one-to-one or group conversation
+ * @access  Private
+ */
+router.post('/conversations', protect, limits.message, requireVerified, async (req, res) => {
+  try {
+    const { participantIds, name } = req.body;
+    
+    if (!Array.isArray(participantIds) || !participantIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Participants are required' });
+    }
+    
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length > MAX_GROUP_NAME_LENGTH)) {
+      return res.status(400).json({ message: `Group name must be text of at most ${MAX_GROUP_NAME_LENGTH} characters` });
+    }
+    
+    // Everyone except the current user, without duplicates
+    const otherIds = [...new Set(participantIds.map(String))]
+      .filter(id => id !== req.user._id.toString());
+    
+    if (otherIds.length === 0) {
+      return res.status(400).json({ message: 'Participants are required' });
+    }
+    
+    if (otherIds.length + 1 > MAX_GROUP_SIZE) {
+      return res.status(400).json({ message: `Group conversations can have at most ${MAX_GROUP_SIZE} people` });
+    }
+    
+    const users = await User.find({ _id: { $in: otherIds } }).select('_id');
+    
+    if (users.length !== otherIds.length) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Only users who follow the current user can be messaged
+    for (const id of otherIds) {
+      if (!(await canMessage(req.user._id, id))) {
+        return res.status(403).json({ message: 'You can only message users who follow you' });
+      }
+    }
+    
+    const isGroup = otherIds.length > 1;
+    
+    // Reuse an existing one-to-one conversation
+    if (!isGroup) {
+      const existing = await Conversation.findOne({
+        isGroup: false,
+        'participants.user': { $all: [req.user._id, otherIds[0]] }
+      }).populate('participants.user', 'name username profileImage');
+      
+      if (existing) {
+        const unreadCounts = await getUnreadCounts([existing], req.user._id);
+        return res.json(formatConversation(existing, unreadCounts));
+      }
+    }
+    
+    const now = new Date();
+    const conversation = await Conversation.create({
+      participants: [req.user._id, ...otherIds].map(user => ({ user, lastReadAt: now })),
+      isGroup,
+      name: isGroup && name ? name : '',
+      createdBy: req.user._id,
+      lastMessageAt: now
+    });
+    
+    await conversation.populate('participants.user', 'name username profileImage');
+    
+    res.status(201).json(formatConversation(conversation, new Map()));
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/messages/conversations/:id/messages
+ * @desc    Get messages in a conversation, newest first
+ * @access  Private
+ */
+router.get('/conversations/:id/messages', protect, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    const conversation = await findConversation(req.params.id, req.user._id);
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const messages = await Message.find(withCursor({ conversation: conversation._id }, page))
+      .populate('sender', 'name username profileImage')
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(messages, page);
+    
+    res.json({
+      messages: items.map(message => formatMessage(message, conversation)),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/messages/conversations/:id/messages
+ * @desc    Send a message to a conversation
+ * @access  Private
+ */
+router.post('/conversations/:id/messages', protect, limits.message, requireVerified, async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ message: 'Message content is required' });
+    }
+    
+    if (content.length > 1000) {
+      return res.status(400).json({ message: 'Message cannot exceed 1000 characters' });
+    }
+    
+    const conversation = await findConversation(req.params.id, req.user._id);
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const recipients = conversation.participants
+      .map(participantId)
+      .filter(id => id !== req.user._id.toString());
+    
+    // A one-to-one conversation ends once the recipient blocks or stops following the sender
+    if (!conversation.isGroup && recipients.length > 0 && !(await canMessage(req.user._id, recipients[0]))) {
+      return res.status(403).json({ message: 'You cannot message this user' });
+    }
+    
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: req.user._id,
+      content
+    });
+    
+    // Sending a message also marks the conversation as read for the sender
+    conversation.lastMessage = message._id;
+    conversation.lastMessageAt = message.createdAt;
+    conversation.getParticipant(req.user._id).lastReadAt = message.createdAt;
+    await conversation.save();
+    
+    // Notify recipients, keeping a single unread notification per conversation
+    for (const recipient of recipients) {
+      const pending = await Notification.exists({
+        recipient,
+        type: 'message',
+        conversation: conversation._id,
+        read: false
+      });
+      
+      if (!pending) {
+        await Notification.create({
+          recipient,
+          sender: req.user._id,
+          type: 'message',
+          conversation: conversation._id,
+          message: `${req.user.name} sent you a message`
+        });
+      }
+    }
+    
+    await message.populate('sender', 'name username profileImage');
+    
+    res.status(201).json(formatMessage(message, conversation));
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/messages/conversations/:id/read
+ * @desc    Mark a conversation as read
+ * @access  Private
+ */
+router.post('/conversations/:id/read', protect, async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user._id);
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    conversation.getParticipant(req.user._id).lastReadAt = new Date();
+    await conversation.save();
+    
+    // Message notifications for this conversation are now stale
+    await Notification.updateMany(
+      { recipient: req.user._id, type: 'message', conversation: conversation._id, read: false },
+      { read: true }
+    );
+    
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/messages/conversations/:id/leave
+ * @desc    Leave a group conversation
+ * @access  Private
+ */
+router.post('/conversations/:id/leave', protect, async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user._id);
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'You can only leave group conversations' });
+    }
+    
+    conversation.participants = conversation.participants
+      .filter(p => participantId(p) !== req.user._id.toString());
+    
+    // Remove the conversation once everyone has left
+    if (conversation.participants.length === 0) {
+      await Message.deleteMany({ conversation: conversation._id });
+      await conversation.deleteOne();
+    } else {
+      await conversation.save();
+    }
+    
+    res.json({ message: 'Left conversation successfully' });
+  } catch (error) {
+    console.error('Leave conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
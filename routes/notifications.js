@@ -2,6 +2,8 @@
 const express = require('express');
 const Notification = require('../models/Notification');
 const { protect } = require('../middleware/auth');
+const { getHiddenUserIds } = require('../utils/relationships');
+const { CURSOR_SORT, parsePagination, withCursor, buildPage } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -12,13 +14,26 @@ const router = express.Router();
  */
 router.get('/', protect, async (req, res) => {
   try {
-    const notifications = await Notification.find({ recipient: req.user._id })
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    // Drop notifications from blocked and muted users
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const notifications = await Notification.find(withCursor({
+      recipient: req.user._id,
+      sender: { $nin: hiddenIds }
+    }, page))
       .populate('sender', 'name username profileImage')
       .populate('tweet')
-      .sort({ createdAt: -1 })
-      .limit(50);
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(notifications, page);
     
-    res.json(notifications);
+    res.json({ notifications: items, nextCursor });
   } catch (error) {
     console.error('Get notifications error:', error);
     res.status(500).json({ message: 'Server error' });
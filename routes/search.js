@@ -2,6 +2,10 @@
 const express = require('express');
 const User = require('../models/User');
 const Tweet = require('../models/Tweet');
+const { optionalAuth } = require('../middleware/auth');
+const { CURSOR_SORT, parsePagination, withCursor, buildPage } = require('../utils/pagination');
+const { tweetPopulate, formatTweets } = require('../utils/formatTweets');
+const { getBlockedUserIds } = require('../utils/relationships');
 
 const router = express.Router();
 
@@ -10,7 +14,7 @@ const router = express.Router();
  * @desc    Search for tweets and users
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { q } = req.query;
     
@@ -18,39 +22,28 @@ router.get('/', async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
-    // Search for tweets
-    const tweets = await Tweet.find({
-      content: { $regex: q, $options: 'i' }
-    })
-    .populate('user', 'name username profileImage')
-    .sort({ createdAt: -1 })
-    .limit(50);
+    const page = parsePagination(req.query);
     
-    // Format tweets for response
-    const formattedTweets = tweets.map(tweet => {
-      const isLiked = req.user ? tweet.likes.includes(req.user._id) : false;
-      const isRetweeted = req.user ? tweet.retweets.includes(req.user._id) : false;
-      
-      return {
-        _id: tweet._id,
-        content: tweet.content,
-        user: tweet.user,
-        createdAt: tweet.createdAt,
-        likeCount: tweet.likes.length,
-        retweetCount: tweet.retweets.length,
-        replyCount: 0, // We'll calculate this separately
-        isLiked,
-        isRetweeted
-      };
-    });
-    
-    // Get reply counts
-    for (let i = 0; i < formattedTweets.length; i++) {
-      const replyCount = await Tweet.countDocuments({ replyTo: formattedTweets[i]._id });
-      formattedTweets[i].replyCount = replyCount;
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
     
-    res.json(formattedTweets);
+    // Search for tweets, leaving out blocked users; protected accounts are dropped when formatting
+    const blockedIds = await getBlockedUserIds(req.user);
+    const tweets = await Tweet.find(withCursor({
+      content: { $regex: q, $options: 'i' },
+      user: { $nin: blockedIds }
+    }, page))
+    .populate(tweetPopulate)
+    .sort(CURSOR_SORT)
+    .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(tweets, page);
+    
+    // Format tweets for response
+    const formattedTweets = await formatTweets(items, req.user);
+    
+    res.json({ tweets: formattedTweets, nextCursor });
   } catch (error) {
     console.error('Search error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,41 @@
+
+const express = require('express');
+const { getBearerToken, getUserFromToken } = require('../middleware/auth');
+const { writeEvent, subscribe } = require('../utils/realtime');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/stream
+ * @desc    Server-Sent Events stream of notifications and new chirps.
+ *          Browsers' EventSource can't set headers, so the token may also be
+ *          passed as ?token=
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const token = getBearerToken(req) || req.query.token;
+    const user = token ? await getUserFromToken(token) : null;
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Not authorized to access this route' });
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    
+    writeEvent(res, 'ready', { user: user._id });
+    
+    const unsubscribe = subscribe(user._id, user.$locals.sessionId, res);
+    req.on('close', unsubscribe);
+  } catch (error) {
+    console.error('Open stream error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,118 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Tweet = require('../models/Tweet');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const Media = require('../models/Media');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Like = require('../models/Like');
+const { protect, optionalAuth, requireVerified } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { MAX_FILES } = require('../middleware/upload');
+const extractHashtags = require('../utils/hashtags');
+const extractMentions = require('../utils/mentions');
+const { recordHashtags } = require('../utils/trends');
+const { deleteTweets } = require('../utils/tweetCleanup');
+const {
+  CURSOR_SORT,
+  parsePagination,
+  parseOffsetPagination,
+  withCursor,
+  buildPage
+} = require('../utils/pagination');
+const { tweetPopulate, formatTweets, formatTweet } = require('../utils/formatTweets');
+const { parseThreadOptions, getThread } = require('../utils/thread');
+const { getRankedTimeline } = require('../utils/ranking');
+const {
+  getBlockedUserIds,
+  getHiddenUserIds,
+  canViewUserContent,
+  isProtectedAuthor,
+  getRelationships
+} = require('../utils/relationships');
+const { pushNewChirp } = require('../utils/realtime');
+const { getFollowingIds } = require('../utils/follows');
+const { like, unlike, retweet, unretweet } = require('../utils/engagement');
 
 const router = express.Router();
 
+// Orderings available for the home timeline
+const TIMELINE_MODES = ['chronological', 'ranked'];
+
+// Fields returned for each user in the list of who liked a tweet
+const LIKER_FIELDS = 'name username profileImage bio isProtected';
+
 /**
  * @route   POST /api/tweets
  * @desc    Create a new tweet
  * @access  Private
  */
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, limits.tweet, requireVerified, async (req, res) => {
   try {
-    const { content, replyTo } = req.body;
+    const { content, replyTo, quoteTweet, mediaIds = [] } = req.body;
+    
+    if (!Array.isArray(mediaIds) || mediaIds.length > MAX_FILES) {
+      return res.status(400).json({ message: `A chirp can have at most ${MAX_FILES} images` });
+    }
     
-    if (!content || content.trim() === '') {
+    // Text is optional when images are attached
+    if ((!content || content.trim() === '') && mediaIds.length === 0) {
       return res.status(400).json({ message: 'Tweet content is required' });
     }
     
-    if (content.length > 280) {
+    if (content && content.length > 280) {
       return res.status(400).json({ message: 'Tweet cannot exceed 280 characters' });
     }
     
+    // Attached media must have been uploaded by the author
+    const media = await Media.findOwned(mediaIds, req.user._id);
+    
+    if (!media) {
+      return res.status(400).json({ message: 'Invalid media attachment' });
+    }
+    
     const newTweet = new Tweet({
       user: req.user._id,
-      content
+      content,
+      media: media.map(item => item._id),
+      hashtags: extractHashtags(content)
     });
     
+    // Resolve mentioned usernames, skipping self-mentions, unknown and blocked users
+    const blockedIds = await getBlockedUserIds(req.user);
+    const mentionedUsers = await User.find({
+      username: { $in: extractMentions(content) },
+      _id: { $ne: req.user._id, $nin: blockedIds }
+    }).select('_id');
+    newTweet.mentions = mentionedUsers.map(user => user._id);
+    
+    // Users already notified about this tweet, so mentions don't notify them twice
+    const notifiedUsers = new Set();
+    
+    // If this is a quote, embed the original (quoting a retweet entry quotes its original)
+    let quotedTweet = null;
+    
+    if (quoteTweet) {
+      quotedTweet = await Tweet.findById(quoteTweet);
+      
+      if (quotedTweet && quotedTweet.retweetData) {
+        quotedTweet = await Tweet.findById(quotedTweet.retweetData);
+      }
+      
+      if (!quotedTweet) {
+        return res.status(404).json({ message: 'Quoted tweet not found' });
+      }
+      
+      if (!(await canViewUserContent(req.user, quotedTweet.user)) ||
+          await isProtectedAuthor(req.user, quotedTweet.user)) {
+        return res.status(403).json({ message: 'You cannot quote this chirp' });
+      }
+      
+      newTweet.quoteTweet = quotedTweet._id;
+    }
+    
     // If this is a reply
     if (replyTo) {
       const originalTweet = await Tweet.findById(replyTo);
@@ -37,10 +121,16 @@ router.post('/', protect, async (req, res) => {
         return res.status(404).json({ message: 'Original tweet not found' });
       }
       
+      if (!(await canViewUserContent(req.user, originalTweet.user))) {
+        return res.status(403).json({ message: 'You cannot reply to this chirp' });
+      }
+      
       newTweet.replyTo = replyTo;
       
       // Create notification for reply
       if (originalTweet.user.toString() !== req.user._id.toString()) {
+        notifiedUsers.add(originalTweet.user.toString());
+        
         await Notification.create({
           recipient: originalTweet.user,
           sender: req.user._id,
@@ -53,33 +143,45 @@ router.post('/', protect, async (req, res) => {
     
     await newTweet.save();
     
-    // Populate user info
-    await newTweet.populate('user', 'name username profileImage');
+    // Update trend counts for hashtags in this tweet
+    await recordHashtags(newTweet.hashtags);
     
-    // If this is a reply, populate reply info
-    if (replyTo) {
-      await newTweet.populate({
-        path: 'replyTo',
-        populate: {
-          path: 'user',
-          select: 'name username'
-        }
+    // Create notification for quote
+    if (quotedTweet && quotedTweet.user.toString() !== req.user._id.toString()) {
+      notifiedUsers.add(quotedTweet.user.toString());
+      
+      await Notification.create({
+        recipient: quotedTweet.user,
+        sender: req.user._id,
+        type: 'quote',
+        tweet: newTweet._id,
+        message: `${req.user.name} quoted your chirp`
       });
     }
     
+    // Create mention notifications for users not already notified above
+    const mentionRecipients = newTweet.mentions.filter(id => !notifiedUsers.has(id.toString()));
+    
+    if (mentionRecipients.length > 0) {
+      await Notification.create(mentionRecipients.map(recipient => ({
+        recipient,
+        sender: req.user._id,
+        type: 'mention',
+        tweet: newTweet._id,
+        message: `${req.user.name} mentioned you in a chirp`
+      })));
+    }
+    
+    // Let followers know there is something new in their timeline (replies don't show up there)
+    if (!newTweet.replyTo) {
+      pushNewChirp(req.user, newTweet).catch(error => console.error('Push new chirp error:', error));
+    }
+    
+    // Populate user and reply info
+    await newTweet.populate(tweetPopulate);
+    
     // Format tweet for response
-    const formattedTweet = {
-      _id: newTweet._id,
-      content: newTweet.content,
-      user: newTweet.user,
-      createdAt: newTweet.createdAt,
-      likeCount: 0,
-      retweetCount: 0,
-      replyCount: 0,
-      isLiked: false,
-      isRetweeted: false,
-      replyTo: newTweet.replyTo
-    };
+    const formattedTweet = await formatTweet(newTweet, req.user);
     
     res.status(201).json(formattedTweet);
   } catch (error) {
@@ -90,50 +192,55 @@ router.post('/', protect, async (req, res) => {
 
 /**
  * @route   GET /api/tweets/timeline
- * @desc    Get tweets for user's timeline
+ * @desc    Get tweets for user's timeline; `mode=ranked` orders them by relevance with a reason for each
  * @access  Private
  */
 router.get('/timeline', protect, async (req, res) => {
   try {
-    // Get current user's following list
-    const user = await User.findById(req.user._id);
-    const following = user.following;
-    following.push(req.user._id); // Include own tweets
+    const mode = req.query.mode || 'chronological';
     
-    // Get tweets from followed users and self
-    const tweets = await Tweet.find({ 
-      user: { $in: following },
-      replyTo: null // Exclude replies from timeline
-    })
-    .populate('user', 'name username profileImage')
-    .sort({ createdAt: -1 })
-    .limit(50);
+    if (!TIMELINE_MODES.includes(mode)) {
+      return res.status(400).json({ message: 'Invalid timeline mode' });
+    }
     
-    // Format tweets for response
-    const formattedTweets = tweets.map(tweet => {
-      const isLiked = tweet.likes.includes(req.user._id);
-      const isRetweeted = tweet.retweets.includes(req.user._id);
+    // Ranked pages are addressed by position, since scores change over time
+    if (mode === 'ranked') {
+      const rankedPage = parseOffsetPagination(req.query);
       
-      return {
-        _id: tweet._id,
-        content: tweet.content,
-        user: tweet.user,
-        createdAt: tweet.createdAt,
-        likeCount: tweet.likes.length,
-        retweetCount: tweet.retweets.length,
-        replyCount: 0, // We'll calculate this separately
-        isLiked,
-        isRetweeted
-      };
-    });
+      if (!rankedPage) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      
+      return res.json(await getRankedTimeline(req.user, rankedPage));
+    }
+    
+    const page = parsePagination(req.query);
     
-    // Get reply counts
-    for (let i = 0; i < formattedTweets.length; i++) {
-      const replyCount = await Tweet.countDocuments({ replyTo: formattedTweets[i]._id });
-      formattedTweets[i].replyCount = replyCount;
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
     
-    res.json(formattedTweets);
+    // Get the users the current user follows, and their own tweets
+    const following = [...(await getFollowingIds(req.user)), req.user._id];
+    
+    // Leave out blocked and muted users
+    const hiddenIds = await getHiddenUserIds(req.user);
+    
+    // Get tweets from followed users and self
+    const tweets = await Tweet.find(withCursor({ 
+      user: { $in: following, $nin: hiddenIds },
+      replyTo: null // Exclude replies from timeline
+    }, page))
+    .populate(tweetPopulate)
+    .sort(CURSOR_SORT)
+    .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(tweets, page);
+    
+    // Format tweets for response, dropping retweets of muted users
+    const formattedTweets = await formatTweets(items, req.user, { hideMuted: true });
+    
+    res.json({ tweets: formattedTweets, nextCursor });
   } catch (error) {
     console.error('Get timeline error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -145,39 +252,32 @@ router.get('/timeline', protect, async (req, res) => {
  * @desc    Get tweets for explore page
  * @access  Public
  */
-router.get('/explore', async (req, res) => {
+router.get('/explore', optionalAuth, async (req, res) => {
   try {
-    // Get popular tweets
-    const tweets = await Tweet.find({ replyTo: null })
-      .populate('user', 'name username profileImage')
-      .sort({ createdAt: -1 })
-      .limit(50);
-    
-    // Format tweets for response
-    const formattedTweets = tweets.map(tweet => {
-      const isLiked = req.user ? tweet.likes.includes(req.user._id) : false;
-      const isRetweeted = req.user ? tweet.retweets.includes(req.user._id) : false;
-      
-      return {
-        _id: tweet._id,
-        content: tweet.content,
-        user: tweet.user,
-        createdAt: tweet.createdAt,
-        likeCount: tweet.likes.length,
-        retweetCount: tweet.retweets.length,
-        replyCount: 0, // We'll calculate this separately
-        isLiked,
-        isRetweeted
-      };
-    });
+    const page = parsePagination(req.query);
     
-    // Get reply counts
-    for (let i = 0; i < formattedTweets.length; i++) {
-      const replyCount = await Tweet.countDocuments({ replyTo: formattedTweets[i]._id });
-      formattedTweets[i].replyCount = replyCount;
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
     
-    res.json(formattedTweets);
+    // Get popular tweets, leaving out replies, retweet entries and blocked users;
+    // protected accounts the viewer doesn't follow are dropped when formatting
+    const blockedIds = await getBlockedUserIds(req.user);
+    const tweets = await Tweet.find(withCursor({
+      replyTo: null,
+      retweetData: null,
+      user: { $nin: blockedIds }
+    }, page))
+      .populate(tweetPopulate)
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(tweets, page);
+    
+    // Format tweets for response
+    const formattedTweets = await formatTweets(items, req.user);
+    
+    res.json({ tweets: formattedTweets, nextCursor });
   } catch (error) {
     console.error('Get explore tweets error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -189,39 +289,21 @@ router.get('/explore', async (req, res) => {
  * @desc    Get a single tweet
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id)
-      .populate('user', 'name username profileImage')
-      .populate({
-        path: 'replyTo',
-        populate: {
-          path: 'user',
-          select: 'name username'
-        }
-      });
+    const tweet = mongoose.isValidObjectId(req.params.id) && await Tweet.findById(req.params.id)
+      .populate(tweetPopulate);
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
     // Format tweet for response
-    const isLiked = req.user ? tweet.likes.includes(req.user._id) : false;
-    const isRetweeted = req.user ? tweet.retweets.includes(req.user._id) : false;
-    const replyCount = await Tweet.countDocuments({ replyTo: tweet._id });
-    
-    const formattedTweet = {
-      _id: tweet._id,
-      content: tweet.content,
-      user: tweet.user,
-      createdAt: tweet.createdAt,
-      likeCount: tweet.likes.length,
-      retweetCount: tweet.retweets.length,
-      replyCount,
-      isLiked,
-      isRetweeted,
-      replyTo: tweet.replyTo
-    };
+    const formattedTweet = await formatTweet(tweet, req.user);
+    
+    if (!formattedTweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
     
     res.json(formattedTweet);
   } catch (error) {
@@ -235,67 +317,191 @@ router.get('/:id', async (req, res) => {
  * @desc    Get replies to a tweet
  * @access  Public
  */
-router.get('/:id/replies', async (req, res) => {
+router.get('/:id/replies', optionalAuth, async (req, res) => {
   try {
-    const replies = await Tweet.find({ replyTo: req.params.id })
-      .populate('user', 'name username profileImage')
-      .sort({ createdAt: -1 });
+    const page = parsePagination(req.query);
     
-    // Format replies for response
-    const formattedReplies = replies.map(reply => {
-      const isLiked = req.user ? reply.likes.includes(req.user._id) : false;
-      const isRetweeted = req.user ? reply.retweets.includes(req.user._id) : false;
-      
-      return {
-        _id: reply._id,
-        content: reply.content,
-        user: reply.user,
-        createdAt: reply.createdAt,
-        likeCount: reply.likes.length,
-        retweetCount: reply.retweets.length,
-        replyCount: 0, // We'll calculate this separately
-        isLiked,
-        isRetweeted,
-        replyTo: {
-          _id: req.params.id
-        }
-      };
-    });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
     
-    // Get reply counts
-    for (let i = 0; i < formattedReplies.length; i++) {
-      const replyCount = await Tweet.countDocuments({ replyTo: formattedReplies[i]._id });
-      formattedReplies[i].replyCount = replyCount;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    res.json(formattedReplies);
+    // Protected accounts the viewer doesn't follow are dropped when formatting
+    const blockedIds = await getBlockedUserIds(req.user);
+    const replies = await Tweet.find(withCursor({
+      replyTo: req.params.id,
+      user: { $nin: blockedIds }
+    }, page))
+      .populate(tweetPopulate)
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(replies, page);
+    
+    // Format replies for response
+    const formattedReplies = await formatTweets(items, req.user);
+    
+    res.json({ tweets: formattedReplies, nextCursor });
   } catch (error) {
     console.error('Get replies error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+/**
+ * @route   GET /api/tweets/:id/thread
+ * @desc    Get the full conversation around a tweet: ancestors and a tree of replies
+ * @access  Public
+ */
+router.get('/:id/thread', optionalAuth, async (req, res) => {
+  try {
+    const options = parseThreadOptions(req.query);
+    
+    if (!options) {
+      return res.status(400).json({ message: 'Sort must be chronological or engagement' });
+    }
+    
+    let tweet = mongoose.isValidObjectId(req.params.id) && await Tweet.findById(req.params.id).populate(tweetPopulate);
+    
+    // The thread of a retweet entry is the thread of its original
+    if (tweet && tweet.retweetData) {
+      tweet = tweet.retweetData;
+    }
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const thread = await getThread(tweet, req.user, options);
+    
+    if (!thread) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    res.json(thread);
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/tweets/:id/quotes
+ * @desc    Get quote tweets of a tweet
+ * @access  Public
+ */
+router.get('/:id/quotes', optionalAuth, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // Protected accounts the viewer doesn't follow are dropped when formatting
+    const blockedIds = await getBlockedUserIds(req.user);
+    const quotes = await Tweet.find(withCursor({
+      quoteTweet: req.params.id,
+      user: { $nin: blockedIds }
+    }, page))
+      .populate(tweetPopulate)
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(quotes, page);
+    
+    // Format quotes for response
+    const formattedQuotes = await formatTweets(items, req.user);
+    
+    res.json({ tweets: formattedQuotes, nextCursor });
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/tweets/:id/likes
+ * @desc    Get the users who liked a tweet, most recent first
+ * @access  Public
+ */
+router.get('/:id/likes', optionalAuth, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    let tweet = mongoose.isValidObjectId(req.params.id) && await Tweet.findById(req.params.id);
+    
+    // The likes of a retweet entry are the likes of its original
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
+    
+    if (!tweet || !(await canViewUserContent(req.user, tweet.user))) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const blockedIds = await getBlockedUserIds(req.user);
+    const likes = await Like.find(withCursor({ tweet: tweet._id, user: { $nin: blockedIds } }, page))
+      .populate('user', LIKER_FIELDS)
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(likes, page);
+    const users = items.map(record => record.user).filter(Boolean);
+    const relationships = req.user
+      ? await getRelationships(req.user, users.map(user => user._id))
+      : new Map();
+    
+    res.json({
+      users: users.map(user => ({
+        ...user.toObject(),
+        ...relationships.get(user._id.toString())
+      })),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get likes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @route   POST /api/tweets/:id/like
  * @desc    Like a tweet
  * @access  Private
  */
-router.post('/:id/like', protect, async (req, res) => {
+router.post('/:id/like', protect, limits.engagement, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    let tweet = await Tweet.findById(req.params.id);
+    
+    // Liking a retweet entry likes the original
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Check if already liked
-    if (tweet.likes.includes(req.user._id)) {
-      return res.status(400).json({ message: 'Tweet already liked' });
+    if (!(await canViewUserContent(req.user, tweet.user))) {
+      return res.status(403).json({ message: 'You cannot like this chirp' });
     }
     
-    // Add like
-    tweet.likes.push(req.user._id);
-    await tweet.save();
+    // Only one of two concurrent likes gets through
+    if (!(await like(req.user._id, tweet._id))) {
+      return res.status(400).json({ message: 'Tweet already liked' });
+    }
     
     // Create notification if the tweet is not by the current user
     if (tweet.user.toString() !== req.user._id.toString()) {
@@ -320,23 +526,23 @@ router.post('/:id/like', protect, async (req, res) => {
  * @desc    Unlike a tweet
  * @access  Private
  */
-router.post('/:id/unlike', protect, async (req, res) => {
+router.post('/:id/unlike', protect, limits.engagement, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    let tweet = await Tweet.findById(req.params.id);
+    
+    // Unliking a retweet entry unlikes the original
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Check if not liked
-    if (!tweet.likes.includes(req.user._id)) {
+    if (!(await unlike(req.user._id, tweet._id))) {
       return res.status(400).json({ message: 'Tweet not liked' });
     }
     
-    // Remove like
-    tweet.likes = tweet.likes.filter(id => id.toString() !== req.user._id.toString());
-    await tweet.save();
-    
     res.json({ message: 'Tweet unliked successfully' });
   } catch (error) {
     console.error('Unlike tweet error:', error);
@@ -349,22 +555,33 @@ router.post('/:id/unlike', protect, async (req, res) => {
  * @desc    Retweet a tweet
  * @access  Private
  */
-router.post('/:id/retweet', protect, async (req, res) => {
+router.post('/:id/retweet', protect, limits.engagement, requireVerified, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    let tweet = await Tweet.findById(req.params.id);
+    
+    // Retweeting a retweet entry retweets the original
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Check if already retweeted
-    if (tweet.retweets.includes(req.user._id)) {
+    // Protected chirps can only be seen by approved followers, so they can't be retweeted
+    if (!(await canViewUserContent(req.user, tweet.user)) ||
+        await isProtectedAuthor(req.user, tweet.user)) {
+      return res.status(403).json({ message: 'You cannot retweet this chirp' });
+    }
+    
+    // Create the retweet entry shown in followers' timelines and the user's profile
+    const retweetEntry = await retweet(req.user._id, tweet._id);
+    
+    if (!retweetEntry) {
       return res.status(400).json({ message: 'Tweet already retweeted' });
     }
     
-    // Add retweet
-    tweet.retweets.push(req.user._id);
-    await tweet.save();
+    pushNewChirp(req.user, retweetEntry).catch(error => console.error('Push new chirp error:', error));
     
     // Create notification if the tweet is not by the current user
     if (tweet.user.toString() !== req.user._id.toString()) {
@@ -389,23 +606,24 @@ router.post('/:id/retweet', protect, async (req, res) => {
  * @desc    Unretweet a tweet
  * @access  Private
  */
-router.post('/:id/unretweet', protect, async (req, res) => {
+router.post('/:id/unretweet', protect, limits.engagement, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    let tweet = await Tweet.findById(req.params.id);
+    
+    // Unretweeting a retweet entry unretweets the original
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Check if not retweeted
-    if (!tweet.retweets.includes(req.user._id)) {
+    // Remove the retweet entry
+    if (!(await unretweet(req.user._id, tweet._id))) {
       return res.status(400).json({ message: 'Tweet not retweeted' });
     }
     
-    // Remove retweet
-    tweet.retweets = tweet.retweets.filter(id => id.toString() !== req.user._id.toString());
-    await tweet.save();
-    
     res.json({ message: 'Tweet unretweeted successfully' });
   } catch (error) {
     console.error('Unretweet error:', error);
@@ -413,6 +631,99 @@ router.post('/:id/unretweet', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/tweets/:id/bookmark
+ * @desc    Bookmark a tweet, optionally filing it under a collection (or move an existing bookmark)
+ * @access  Private
+ */
+router.post('/:id/bookmark', protect, limits.engagement, async (req, res) => {
+  try {
+    const { collectionId } = req.body;
+    let tweet = await Tweet.findById(req.params.id);
+    
+    // Bookmarking a retweet entry bookmarks the original
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    if (!(await canViewUserContent(req.user, tweet.user))) {
+      return res.status(403).json({ message: 'You cannot bookmark this chirp' });
+    }
+    
+    // Collections belong to the current user; null files the bookmark under none
+    let bookmarkCollection = null;
+    
+    if (collectionId) {
+      bookmarkCollection = mongoose.isValidObjectId(collectionId)
+        && await BookmarkCollection.findOne({ _id: collectionId, user: req.user._id });
+      
+      if (!bookmarkCollection) {
+        return res.status(404).json({ message: 'Collection not found' });
+      }
+    }
+    
+    const existing = await Bookmark.findOne({ user: req.user._id, tweet: tweet._id });
+    
+    if (existing) {
+      if (collectionId === undefined) {
+        return res.status(400).json({ message: 'Tweet already bookmarked' });
+      }
+      
+      existing.bookmarkCollection = bookmarkCollection ? bookmarkCollection._id : null;
+      await existing.save();
+      
+      return res.json({ message: 'Bookmark moved successfully' });
+    }
+    
+    // Bookmarks are private, so the author is not notified
+    await Bookmark.create({
+      user: req.user._id,
+      tweet: tweet._id,
+      bookmarkCollection: bookmarkCollection ? bookmarkCollection._id : null
+    });
+    
+    res.json({ message: 'Tweet bookmarked successfully' });
+  } catch (error) {
+    console.error('Bookmark tweet error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/tweets/:id/bookmark
+ * @desc    Remove a bookmark
+ * @access  Private
+ */
+router.delete('/:id/bookmark', protect, limits.engagement, async (req, res) => {
+  try {
+    let tweet = await Tweet.findById(req.params.id);
+    
+    // Removing a retweet entry's bookmark removes the original's
+    if (tweet && tweet.retweetData) {
+      tweet = await Tweet.findById(tweet.retweetData);
+    }
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const result = await Bookmark.deleteOne({ user: req.user._id, tweet: tweet._id });
+    
+    if (result.deletedCount === 0) {
+      return res.status(400).json({ message: 'Tweet not bookmarked' });
+    }
+    
+    res.json({ message: 'Bookmark removed successfully' });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @route   DELETE /api/tweets/:id
  * @desc    Delete a tweet
@@ -431,14 +742,15 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(401).json({ message: 'User not authorized' });
     }
     
-    // Delete tweet
-    await tweet.deleteOne();
-    
-    // Delete all replies to this tweet
-    await Tweet.deleteMany({ replyTo: req.params.id });
+    // Deleting a retweet entry is the same as unretweeting
+    if (tweet.retweetData) {
+      await unretweet(req.user._id, tweet.retweetData);
+      
+      return res.json({ message: 'Tweet deleted successfully' });
+    }
     
-    // Delete all notifications related to this tweet
-    await Notification.deleteMany({ tweet: req.params.id });
+    // Delete tweet with its replies, retweets and notifications
+    await deleteTweets([tweet]);
     
     res.json({ message: 'Tweet deleted successfully' });
   } catch (error) {
@@ -1,18 +1,279 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
 const Tweet = require('../models/Tweet');
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const Media = require('../models/Media');
+const List = require('../models/List');
+const Follow = require('../models/Follow');
+const { protect, optionalAuth, requireVerified } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { CURSOR_SORT, parsePagination, withCursor, buildPage } = require('../utils/pagination');
+const { tweetPopulate, formatTweets } = require('../utils/formatTweets');
+const {
+  getBlockedUserIds,
+  isBlockedBetween,
+  canViewUserContent,
+  getRelationships
+} = require('../utils/relationships');
+const { follow, unfollow, isFollowing, getFollowingIds } = require('../utils/follows');
+const { revokeSessions } = require('../utils/sessions');
+const { sendVerificationEmail } = require('../utils/emails');
+const { deleteAccount } = require('../utils/accounts');
+const { getSuggestions } = require('../utils/suggestions');
 
 const router = express.Router();
 
+// Load the current user with their password hash if the password matches, or null
+const confirmPassword = async (userId, password) => {
+  const user = await User.findById(userId);
+  
+  if (!user || !(await user.comparePassword(String(password)))) {
+    return null;
+  }
+  
+  return user;
+};
+
+// Fields returned for each user in follower and following lists
+const LIST_USER_FIELDS = 'name username profileImage bio isProtected';
+
+// Maximum number of users in a bulk relationship lookup
+const MAX_RELATIONSHIP_IDS = 100;
+
+/**
+ * Respond with a page of users from the follow edges matching `filter`, most
+ * recent first. `field` is the side of the edge to list. Each user carries
+ * the viewer's relationship to them when signed in.
+ */
+const sendFollowPage = async (res, filter, field, page, viewer) => {
+  const edges = await Follow.find(withCursor(filter, page))
+    .populate(field, LIST_USER_FIELDS)
+    .sort(CURSOR_SORT)
+    .limit(page.limit + 1);
+  
+  const { items, nextCursor } = buildPage(edges, page);
+  const users = items.map(edge => edge[field]).filter(Boolean);
+  const relationships = viewer
+    ? await getRelationships(viewer, users.map(user => user._id))
+    : new Map();
+  
+  res.json({
+    users: users.map(user => ({
+      ...user.toObject(),
+      ...relationships.get(user._id.toString())
+    })),
+    nextCursor
+  });
+};
+
+// Load a user whose follower lists the viewer may see, answering with an error otherwise
+const findListableUser = async (req, res) => {
+  const user = await User.findOne({ username: req.params.username }).select('isProtected');
+  
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  
+  // Protected accounts only show their connections to approved followers
+  if (!(await canViewUserContent(req.user, user._id))) {
+    res.status(403).json({ message: 'You cannot view this user\'s connections' });
+    return null;
+  }
+  
+  return user;
+};
+
+/**
+ * @route   GET /api/users/blocked
+ * @desc    Get users blocked by the current user
+ * @access  Private
+ */
+router.get('/blocked', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blocked', 'name username profileImage');
+    
+    res.json(user.blocked);
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/muted
+ * @desc    Get users muted by the current user
+ * @access  Private
+ */
+router.get('/muted', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('muted', 'name username profileImage');
+    
+    res.json(user.muted);
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/follow-requests
+ * @desc    Get pending follow requests to the current user
+ * @access  Private
+ */
+router.get('/follow-requests', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('followRequests', 'name username profileImage');
+    
+    res.json(user.followRequests);
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/users/follow-requests/:id/approve
+ * @desc    Approve a pending follow request
+ * @access  Private
+ */
+router.post('/follow-requests/:id/approve', protect, limits.follow, async (req, res) => {
+  try {
+    // Check if there is a pending request
+    if (!req.user.followRequests.includes(req.params.id)) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    
+    const requester = await User.findById(req.params.id);
+    
+    // Drop requests from accounts that no longer exist
+    if (!requester) {
+      await User.updateOne({ _id: req.user._id }, { $pull: { followRequests: req.params.id } });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Move the requester from follow requests to followers
+    await User.updateOne({ _id: req.user._id }, { $pull: { followRequests: requester._id } });
+    await follow(requester._id, req.user._id);
+    
+    // Create notification
+    await Notification.create({
+      recipient: requester._id,
+      sender: req.user._id,
+      type: 'follow_accept',
+      message: `${req.user.name} accepted your follow request`
+    });
+    
+    res.json({ message: 'Follow request approved' });
+  } catch (error) {
+    console.error('Approve follow request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/users/follow-requests/:id/reject
+ * @desc    Reject a pending follow request
+ * @access  Private
+ */
+router.post('/follow-requests/:id/reject', protect, limits.follow, async (req, res) => {
+  try {
+    // Check if there is a pending request
+    if (!req.user.followRequests.includes(req.params.id)) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $pull: { followRequests: req.params.id } });
+    
+    // Remove the request notification
+    await Notification.deleteMany({
+      recipient: req.user._id,
+      sender: req.params.id,
+      type: 'follow_request'
+    });
+    
+    res.json({ message: 'Follow request rejected' });
+  } catch (error) {
+    console.error('Reject follow request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/suggestions
+ * @desc    Get suggested accounts to follow, each with the reason it was suggested
+ * @access  Private
+ */
+router.get('/suggestions', protect, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    
+    res.json(await getSuggestions(req.user, limit));
+  } catch (error) {
+    console.error('Get user suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/users/suggestions/:id/dismiss
+ * @desc    Stop suggesting an account
+ * @access  Private
+ */
+router.post('/suggestions/:id/dismiss', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { dismissedSuggestions: req.params.id } });
+    
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    console.error('Dismiss suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/relationships
+ * @desc    Get the current user's relationship to up to 100 users, given as comma-separated `ids`
+ * @access  Private
+ */
+router.get('/relationships', protect, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').filter(Boolean))];
+    
+    if (ids.length === 0 || !ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'User IDs are required' });
+    }
+    
+    if (ids.length > MAX_RELATIONSHIP_IDS) {
+      return res.status(400).json({ message: `At most ${MAX_RELATIONSHIP_IDS} users can be looked up at once` });
+    }
+    
+    const relationships = await getRelationships(req.user, ids);
+    
+    res.json(Object.fromEntries(relationships));
+  } catch (error) {
+    console.error('Get relationships error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @route   GET /api/users/:username
  * @desc    Get user profile by username
  * @access  Public
  */
-router.get('/:username', async (req, res) => {
+router.get('/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username }).select('-password');
     
@@ -33,15 +294,21 @@ router.get('/:username', async (req, res) => {
       location: user.location,
       website: user.website,
       profileImage: user.profileImage,
-      followers: user.followers.length,
-      following: user.following.length,
+      isProtected: user.isProtected,
+      followers: user.followerCount,
+      following: user.followingCount,
       createdAt: user.createdAt,
       tweetsCount
     };
     
-    // Check if the requesting user is following this user
+    // Check the requesting user's relationship to this user
     if (req.user) {
-      userData.isFollowing = user.followers.includes(req.user._id);
+      userData.isFollowing = await isFollowing(req.user._id, user._id);
+      userData.isFollowedBy = await isFollowing(user._id, req.user._id);
+      userData.isFollowRequested = user.followRequests.includes(req.user._id);
+      userData.isBlocking = req.user.blocked.includes(user._id);
+      userData.isBlockedBy = user.blocked.includes(req.user._id);
+      userData.isMuting = req.user.muted.includes(user._id);
     }
     
     res.json(userData);
@@ -56,60 +323,176 @@ router.get('/:username', async (req, res) => {
  * @desc    Get tweets by a user
  * @access  Public
  */
-router.get('/:username/tweets', async (req, res) => {
+router.get('/:username/tweets', optionalAuth, async (req, res) => {
   try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
     const user = await User.findOne({ username: req.params.username });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    // Hide content between blocked users and of protected accounts the viewer doesn't follow
+    if (!(await canViewUserContent(req.user, user._id))) {
+      return res.status(403).json({ message: 'You cannot view this user\'s chirps' });
+    }
+    
     // Get user's tweets
-    const tweets = await Tweet.find({ 
+    const tweets = await Tweet.find(withCursor({ 
       $or: [
         { user: user._id },
         { retweetData: { $ne: null }, user: user._id }
       ]
-    })
-    .populate('user', 'name username profileImage')
-    .populate('replyTo', 'user')
-    .populate({
-      path: 'replyTo',
-      populate: {
-        path: 'user',
-        select: 'name username'
-      }
-    })
-    .sort({ createdAt: -1 });
+    }, page))
+    .populate(tweetPopulate)
+    .sort(CURSOR_SORT)
+    .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(tweets, page);
     
     // Format tweets for response
-    const formattedTweets = tweets.map(tweet => {
-      const isLiked = req.user ? tweet.likes.includes(req.user._id) : false;
-      const isRetweeted = req.user ? tweet.retweets.includes(req.user._id) : false;
-      
-      return {
-        _id: tweet._id,
-        content: tweet.content,
-        user: tweet.user,
-        createdAt: tweet.createdAt,
-        likeCount: tweet.likes.length,
-        retweetCount: tweet.retweets.length,
-        replyCount: 0, // We'll calculate this separately
-        isLiked,
-        isRetweeted,
-        replyTo: tweet.replyTo
-      };
-    });
+    const formattedTweets = await formatTweets(items, req.user);
     
-    // Get reply counts
-    for (let i = 0; i < formattedTweets.length; i++) {
-      const replyCount = await Tweet.countDocuments({ replyTo: formattedTweets[i]._id });
-      formattedTweets[i].replyCount = replyCount;
+    res.json({ tweets: formattedTweets, nextCursor });
+  } catch (error) {
+    console.error('Get user tweets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/:username/mentions
+ * @desc    Get tweets that mention a user
+ * @access  Public
+ */
+router.get('/:username/mentions', optionalAuth, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
     
-    res.json(formattedTweets);
+    const user = await User.findOne({ username: req.params.username });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Hide content between blocked users and of protected accounts the viewer doesn't follow
+    if (!(await canViewUserContent(req.user, user._id))) {
+      return res.status(403).json({ message: 'You cannot view this user\'s chirps' });
+    }
+    
+    // Get tweets mentioning the user, leaving out blocked users; protected accounts are dropped when formatting
+    const blockedIds = await getBlockedUserIds(req.user);
+    const tweets = await Tweet.find(withCursor({
+      mentions: user._id,
+      user: { $nin: blockedIds }
+    }, page))
+      .populate(tweetPopulate)
+      .sort(CURSOR_SORT)
+      .limit(page.limit + 1);
+    
+    const { items, nextCursor } = buildPage(tweets, page);
+    
+    // Format tweets for response
+    const formattedTweets = await formatTweets(items, req.user);
+    
+    res.json({ tweets: formattedTweets, nextCursor });
   } catch (error) {
-    console.error('Get user tweets error:', error);
+    console.error('Get user mentions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/:username/followers
+ * @desc    Get a user's followers, most recent first
+ * @access  Public
+ */
+router.get('/:username/followers', optionalAuth, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    const user = await findListableUser(req, res);
+    
+    if (!user) return;
+    
+    // Leave out users blocked in either direction
+    const blockedIds = await getBlockedUserIds(req.user);
+    
+    await sendFollowPage(res, { following: user._id, follower: { $nin: blockedIds } }, 'follower', page, req.user);
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/:username/following
+ * @desc    Get the users a user follows, most recent first
+ * @access  Public
+ */
+router.get('/:username/following', optionalAuth, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    const user = await findListableUser(req, res);
+    
+    if (!user) return;
+    
+    // Leave out users blocked in either direction
+    const blockedIds = await getBlockedUserIds(req.user);
+    
+    await sendFollowPage(res, { follower: user._id, following: { $nin: blockedIds } }, 'following', page, req.user);
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/:username/mutual-followers
+ * @desc    Get a user's followers that the current user also follows
+ * @access  Private
+ */
+router.get('/:username/mutual-followers', protect, async (req, res) => {
+  try {
+    const page = parsePagination(req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    
+    const user = await findListableUser(req, res);
+    
+    if (!user) return;
+    
+    const [followingIds, blockedIds] = await Promise.all([
+      getFollowingIds(req.user),
+      getBlockedUserIds(req.user)
+    ]);
+    
+    await sendFollowPage(res, {
+      following: user._id,
+      follower: { $in: followingIds, $nin: blockedIds }
+    }, 'follower', page, req.user);
+  } catch (error) {
+    console.error('Get mutual followers error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -121,7 +504,12 @@ router.get('/:username/tweets', async (req, res) => {
  */
 router.put('/profile', protect, async (req, res) => {
   try {
-    const { name, bio, location, website, profileImage } = req.body;
+    const { name, bio, location, website, profileImage, profileImageId, isProtected } = req.body;
+    
+    // Strings like "false" would otherwise lock the account
+    if (isProtected !== undefined && typeof isProtected !== 'boolean') {
+      return res.status(400).json({ message: 'isProtected must be true or false' });
+    }
     
     // Find user
     const user = await User.findById(req.user._id);
@@ -137,6 +525,30 @@ router.put('/profile', protect, async (req, res) => {
     if (website !== undefined) user.website = website;
     if (profileImage !== undefined) user.profileImage = profileImage;
     
+    // Use an uploaded image as the profile image
+    if (profileImageId) {
+      const media = await Media.findOwned([profileImageId], req.user._id);
+      
+      if (!media) {
+        return res.status(400).json({ message: 'Invalid profile image' });
+      }
+      
+      user.profileImage = media[0].url;
+    }
+    
+    if (isProtected !== undefined) {
+      // Going public approves everyone who was waiting
+      if (user.isProtected && !isProtected && user.followRequests.length > 0) {
+        for (const requesterId of user.followRequests) {
+          await follow(requesterId, user._id);
+        }
+        
+        user.followRequests = [];
+      }
+      
+      user.isProtected = isProtected;
+    }
+    
     // Save user
     await user.save();
     
@@ -148,7 +560,8 @@ router.put('/profile', protect, async (req, res) => {
       bio: user.bio,
       location: user.location,
       website: user.website,
-      profileImage: user.profileImage
+      profileImage: user.profileImage,
+      isProtected: user.isProtected
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -156,12 +569,181 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/users/account/username
+ * @desc    Change the current user's username
+ * @access  Private
+ */
+router.put('/account/username', protect, limits.accountChange, [
+  check('username', 'Username can only contain letters, numbers and underscores, up to 15 characters')
+    .isString().matches(/^\w{1,15}$/),
+  check('password', 'Password is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await confirmPassword(req.user._id, req.body.password);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    const username = req.body.username.toLowerCase();
+    
+    if (username === user.username) {
+      return res.status(400).json({ message: 'That is already your username' });
+    }
+    
+    if (await User.exists({ username })) {
+      return res.status(400).json({ message: 'Username already taken' });
+    }
+    
+    user.username = username;
+    await user.save();
+    
+    res.json({ _id: user._id, username: user.username });
+  } catch (error) {
+    // Lost a race with another user claiming the same name
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Username already taken' });
+    }
+    
+    console.error('Change username error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/users/account/email
+ * @desc    Change the current user's email address and send a new verification email
+ * @access  Private
+ */
+router.put('/account/email', protect, limits.accountChange, [
+  check('email', 'Please include a valid email').isEmail(),
+  check('password', 'Password is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await confirmPassword(req.user._id, req.body.password);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    const email = req.body.email.trim().toLowerCase();
+    
+    if (email === user.email) {
+      return res.status(400).json({ message: 'That is already your email address' });
+    }
+    
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'Email already in use' });
+    }
+    
+    // The new address has to be verified again
+    user.email = email;
+    user.emailVerified = false;
+    await user.save();
+    
+    // Reset links sent to the old address no longer apply
+    await AuthToken.deleteMany({ user: user._id, purpose: 'password_reset', usedAt: null });
+    
+    await sendVerificationEmail(user)
+      .catch(error => console.error('Send verification email error:', error));
+    
+    res.json({ _id: user._id, email: user.email, emailVerified: user.emailVerified });
+  } catch (error) {
+    // Lost a race with another user claiming the same address
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Email already in use' });
+    }
+    
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/users/account/password
+ * @desc    Change the current user's password and sign out other sessions
+ * @access  Private
+ */
+router.put('/account/password', protect, limits.accountChange, [
+  check('currentPassword', 'Current password is required').isString().notEmpty(),
+  check('newPassword', 'Password must be at least 6 characters').isString().isLength({ min: 6 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await confirmPassword(req.user._id, req.body.currentPassword);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    user.password = req.body.newPassword;
+    await user.save();
+    
+    // Keep only the session that made the change
+    await revokeSessions(user._id, { _id: { $ne: req.user.$locals.sessionId } });
+    await AuthToken.deleteMany({ user: user._id, purpose: 'password_reset', usedAt: null });
+    
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/account
+ * @desc    Permanently delete the current user's account and their content
+ * @access  Private
+ */
+router.delete('/account', protect, limits.accountChange, [
+  check('password', 'Password is required').isString().notEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await confirmPassword(req.user._id, req.body.password);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    await deleteAccount(user);
+    
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @route   POST /api/users/:id/follow
  * @desc    Follow a user
  * @access  Private
  */
-router.post('/:id/follow', protect, async (req, res) => {
+router.post('/:id/follow', protect, limits.follow, requireVerified, async (req, res) => {
   try {
     // Check if user exists
     const userToFollow = await User.findById(req.params.id);
@@ -170,23 +752,43 @@ router.post('/:id/follow', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Check if already following
-    if (userToFollow.followers.includes(req.user._id)) {
-      return res.status(400).json({ message: 'Already following this user' });
-    }
-    
     // Check if trying to follow self
     if (req.user._id.toString() === req.params.id) {
       return res.status(400).json({ message: 'You cannot follow yourself' });
     }
     
-    // Add to followers and following
-    userToFollow.followers.push(req.user._id);
-    await userToFollow.save();
+    // Check if either user has blocked the other
+    if (await isBlockedBetween(req.user._id, userToFollow._id)) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+    
+    // Check if already following
+    if (await isFollowing(req.user._id, userToFollow._id)) {
+      return res.status(400).json({ message: 'Already following this user' });
+    }
+    
+    // Protected accounts must approve new followers
+    if (userToFollow.isProtected) {
+      if (userToFollow.followRequests.includes(req.user._id)) {
+        return res.status(400).json({ message: 'Follow request already sent' });
+      }
+      
+      await User.updateOne({ _id: userToFollow._id }, { $addToSet: { followRequests: req.user._id } });
+      
+      await Notification.create({
+        recipient: userToFollow._id,
+        sender: req.user._id,
+        type: 'follow_request',
+        message: `${req.user.name} requested to follow you`
+      });
+      
+      return res.json({ message: 'Follow request sent', pending: true });
+    }
     
-    const currentUser = await User.findById(req.user._id);
-    currentUser.following.push(userToFollow._id);
-    await currentUser.save();
+    // A concurrent request may have followed first
+    if (!(await follow(req.user._id, userToFollow._id))) {
+      return res.status(400).json({ message: 'Already following this user' });
+    }
     
     // Create notification
     await Notification.create({
@@ -196,7 +798,7 @@ router.post('/:id/follow', protect, async (req, res) => {
       message: `${req.user.name} started following you`
     });
     
-    res.json({ message: 'User followed successfully' });
+    res.json({ message: 'User followed successfully', pending: false });
   } catch (error) {
     console.error('Follow user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -208,7 +810,7 @@ router.post('/:id/follow', protect, async (req, res) => {
  * @desc    Unfollow a user
  * @access  Private
  */
-router.post('/:id/unfollow', protect, async (req, res) => {
+router.post('/:id/unfollow', protect, limits.follow, async (req, res) => {
   try {
     // Check if user exists
     const userToUnfollow = await User.findById(req.params.id);
@@ -217,22 +819,22 @@ router.post('/:id/unfollow', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Check if not following
-    if (!userToUnfollow.followers.includes(req.user._id)) {
-      return res.status(400).json({ message: 'You are not following this user' });
+    // Cancel a pending follow request
+    if (userToUnfollow.followRequests.includes(req.user._id)) {
+      await User.updateOne({ _id: userToUnfollow._id }, { $pull: { followRequests: req.user._id } });
+      
+      await Notification.deleteMany({
+        recipient: userToUnfollow._id,
+        sender: req.user._id,
+        type: 'follow_request'
+      });
+      
+      return res.json({ message: 'Follow request cancelled' });
     }
     
-    // Remove from followers and following
-    userToUnfollow.followers = userToUnfollow.followers.filter(
-      id => id.toString() !== req.user._id.toString()
-    );
-    await userToUnfollow.save();
-    
-    const currentUser = await User.findById(req.user._id);
-    currentUser.following = currentUser.following.filter(
-      id => id.toString() !== userToUnfollow._id.toString()
-    );
-    await currentUser.save();
+    if (!(await unfollow(req.user._id, userToUnfollow._id))) {
+      return res.status(400).json({ message: 'You are not following this user' });
+    }
     
     res.json({ message: 'User unfollowed successfully' });
   } catch (error) {
@@ -242,25 +844,130 @@ router.post('/:id/unfollow', protect, async (req, res) => {
 });
 
 /**
- * @route   GET /api/users/suggestions
- * @desc    Get user suggestions to follow
+ * @route   POST /api/users/:id/block
+ * @desc    Block a user, removing follows in both directions
  * @access  Private
  */
-router.get('/suggestions', protect, async (req, res) => {
+router.post('/:id/block', protect, limits.follow, async (req, res) => {
   try {
-    // Get users not followed by current user
-    const currentUser = await User.findById(req.user._id);
+    // Check if trying to block self
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
     
-    // Find users that the current user is not following and is not the current user
-    const suggestions = await User.find({
-      _id: { $nin: [...currentUser.following, currentUser._id] }
-    })
-    .select('name username profileImage')
-    .limit(5);
+    // Check if user exists
+    const userToBlock = await User.findById(req.params.id);
     
-    res.json(suggestions);
+    if (!userToBlock) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Check if already blocked
+    if (req.user.blocked.includes(userToBlock._id)) {
+      return res.status(400).json({ message: 'User already blocked' });
+    }
+    
+    // Add to blocked and remove the follow relationship and pending requests both ways
+    await User.updateOne({ _id: req.user._id }, {
+      $addToSet: { blocked: userToBlock._id },
+      $pull: { followRequests: userToBlock._id }
+    });
+    
+    await User.updateOne({ _id: userToBlock._id }, { $pull: { followRequests: req.user._id } });
+    
+    await unfollow(req.user._id, userToBlock._id);
+    await unfollow(userToBlock._id, req.user._id);
+    
+    // Neither can stay on or subscribed to the other's lists
+    await List.updateMany({ owner: req.user._id }, {
+      $pull: { members: userToBlock._id, subscribers: userToBlock._id }
+    });
+    
+    await List.updateMany({ owner: userToBlock._id }, {
+      $pull: { members: req.user._id, subscribers: req.user._id }
+    });
+    
+    res.json({ message: 'User blocked successfully' });
   } catch (error) {
-    console.error('Get user suggestions error:', error);
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/unblock
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.post('/:id/unblock', protect, limits.follow, async (req, res) => {
+  try {
+    // Check if not blocked
+    if (!req.user.blocked.includes(req.params.id)) {
+      return res.status(400).json({ message: 'User is not blocked' });
+    }
+    
+    // Remove from blocked
+    await User.updateOne({ _id: req.user._id }, { $pull: { blocked: req.params.id } });
+    
+    res.json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/mute
+ * @desc    Mute a user, hiding their tweets from the timeline and their notifications
+ * @access  Private
+ */
+router.post('/:id/mute', protect, limits.follow, async (req, res) => {
+  try {
+    // Check if trying to mute self
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+    
+    // Check if user exists
+    const userToMute = await User.findById(req.params.id);
+    
+    if (!userToMute) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Check if already muted
+    if (req.user.muted.includes(userToMute._id)) {
+      return res.status(400).json({ message: 'User already muted' });
+    }
+    
+    // Add to muted
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { muted: userToMute._id } });
+    
+    res.json({ message: 'User muted successfully' });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/unmute
+ * @desc    Unmute a user
+ * @access  Private
+ */
+router.post('/:id/unmute', protect, limits.follow, async (req, res) => {
+  try {
+    // Check if not muted
+    if (!req.user.muted.includes(req.params.id)) {
+      return res.status(400).json({ message: 'User is not muted' });
+    }
+    
+    // Remove from muted
+    await User.updateOne({ _id: req.user._id }, { $pull: { muted: req.params.id } });
+    
+    res.json({ message: 'User unmuted successfully' });
+  } catch (error) {
+    console.error('Unmute user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
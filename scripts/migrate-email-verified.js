@@ -0,0 +1,51 @@
+
+/**
+ * Mark accounts created before email verification shipped as verified, so
+ * they keep posting, following and messaging. They were never sent a
+ * verification email. Accounts whose documents have no `emailVerified` field
+ * predate the feature; pass the deploy date to also cover older accounts
+ * that have been saved since:
+ *
+ *   npm run migrate:email-verified -- --before 2024-05-01T12:00:00Z
+ *
+ * Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Parse --before <date> from the command line, or null if not given
+const parseBefore = (args) => {
+  const index = args.indexOf('--before');
+  if (index === -1) return null;
+  
+  const before = new Date(args[index + 1]);
+  
+  if (Number.isNaN(before.getTime())) {
+    throw new Error('--before must be a date, e.g. 2024-05-01T12:00:00Z');
+  }
+  
+  return before;
+};
+
+const migrate = async () => {
+  const before = parseBefore(process.argv.slice(2));
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  // The raw collection sees whether the field is stored, which the schema default hides
+  const filter = before
+    ? { $or: [{ emailVerified: { $exists: false } }, { emailVerified: false, createdAt: { $lt: before } }] }
+    : { emailVerified: { $exists: false } };
+  
+  const { modifiedCount } = await User.collection.updateMany(filter, { $set: { emailVerified: true } });
+  
+  console.log(`Marked ${modifiedCount} existing users as verified`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Email verification migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
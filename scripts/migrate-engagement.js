@@ -0,0 +1,148 @@
+
+/**
+ * Move likes from the embedded `likes` arrays on tweets into the Like
+ * collection, and make sure every retweet in the `retweets` arrays has a
+ * retweet entry, which is now the record of who retweeted what. Retweets
+ * made before retweet entries existed are only in the arrays, so entries are
+ * created for them. Duplicate entries are removed first so their unique
+ * index can be built. Finally like and retweet counters are recomputed and
+ * the old arrays dropped. Safe to run more than once.
+ *
+ * Usage: npm run migrate:engagement
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+const { recountEngagement } = require('../utils/engagement');
+
+// Records written per bulk operation
+const BATCH_SIZE = 1000;
+
+// Copy likes into Like records, dated to the tweet since when they happened wasn't stored
+const migrateLikes = async () => {
+  // The arrays are no longer in the schema, so read them from the raw collection
+  const cursor = Tweet.collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1, createdAt: 1 } }
+  );
+  
+  let batch = [];
+  let tweets = 0;
+  
+  const flush = async () => {
+    if (batch.length === 0) return;
+    
+    await Like.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+  
+  for await (const tweet of cursor) {
+    for (const user of tweet.likes) {
+      batch.push({
+        updateOne: {
+          filter: { user, tweet: tweet._id },
+          update: {
+            $setOnInsert: { user, tweet: tweet._id, createdAt: tweet.createdAt, updatedAt: tweet.createdAt }
+          },
+          upsert: true,
+          timestamps: false
+        }
+      });
+    }
+    tweets++;
+    
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  
+  await flush();
+  
+  return tweets;
+};
+
+// Keep the oldest retweet entry per user and tweet, deleting any others left by races
+const removeDuplicateRetweets = async () => {
+  const duplicates = await Tweet.aggregate([
+    { $match: { retweetData: { $ne: null } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: { user: '$user', retweetData: '$retweetData' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]);
+  
+  const extraIds = duplicates.flatMap(({ ids }) => ids.slice(1));
+  
+  if (extraIds.length > 0) {
+    await Tweet.deleteMany({ _id: { $in: extraIds } });
+  }
+  
+  return extraIds.length;
+};
+
+// Create a retweet entry for each retweet in the arrays that has none, dated to the tweet like likes are
+const backfillRetweets = async () => {
+  const cursor = Tweet.collection.find(
+    { 'retweets.0': { $exists: true } },
+    { projection: { retweets: 1, createdAt: 1 } }
+  );
+  
+  let batch = [];
+  let created = 0;
+  
+  const flush = async () => {
+    if (batch.length === 0) return;
+    
+    const { upsertedCount } = await Tweet.bulkWrite(batch, { ordered: false });
+    created += upsertedCount;
+    batch = [];
+  };
+  
+  for await (const tweet of cursor) {
+    for (const user of tweet.retweets) {
+      batch.push({
+        updateOne: {
+          filter: { user, retweetData: tweet._id },
+          update: {
+            $setOnInsert: { user, retweetData: tweet._id, createdAt: tweet.createdAt, updatedAt: tweet.createdAt }
+          },
+          upsert: true,
+          timestamps: false
+        }
+      });
+    }
+    
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  
+  await flush();
+  
+  return created;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Like.init();
+  
+  const tweets = await migrateLikes();
+  const removed = await removeDuplicateRetweets();
+  
+  // Builds the unique retweet index, which fails at startup while duplicates exist
+  await Tweet.createIndexes();
+  
+  // Must run before the recount and before the arrays are dropped, or these retweets are lost
+  const backfilled = await backfillRetweets();
+  
+  await recountEngagement();
+  await Tweet.collection.updateMany({}, { $unset: { likes: '', retweets: '' } });
+  
+  console.log(
+    `Migrated likes for ${tweets} tweets, created ${backfilled} retweet entries ` +
+    `(${removed} duplicate retweets removed)`
+  );
+};
+
+migrate()
+  .catch(err => {
+    console.error('Engagement migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,70 @@
+
+/**
+ * Move follow relationships from the embedded `followers`/`following` arrays
+ * on users into the Follow collection, then recompute follower counters and
+ * drop the old arrays. Safe to run more than once.
+ *
+ * Usage: npm run migrate:follows
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { recountFollows } = require('../utils/follows');
+
+// Edges written per bulk operation
+const BATCH_SIZE = 1000;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Follow.init();
+  
+  // The arrays are no longer in the schema, so read them from the raw collection
+  const cursor = User.collection.find(
+    { $or: [{ 'following.0': { $exists: true } }, { 'followers.0': { $exists: true } }] },
+    { projection: { following: 1, followers: 1 } }
+  );
+  
+  let batch = [];
+  let users = 0;
+  
+  const upsert = (follower, following) => {
+    batch.push({
+      updateOne: {
+        filter: { follower, following },
+        update: { $setOnInsert: { follower, following } },
+        upsert: true
+      }
+    });
+  };
+  
+  const flush = async () => {
+    if (batch.length === 0) return;
+    
+    await Follow.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+  
+  for await (const user of cursor) {
+    // Either side may have been the only one saved, so take edges from both
+    (user.following || []).forEach(id => upsert(user._id, id));
+    (user.followers || []).forEach(id => upsert(id, user._id));
+    users++;
+    
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  
+  await flush();
+  
+  await recountFollows();
+  await User.collection.updateMany({}, { $unset: { followers: '', following: '' } });
+  
+  console.log(`Migrated follows for ${users} users`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Follow migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
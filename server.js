@@ -12,15 +12,39 @@ const tweetRoutes = require('./routes/tweets');
 const notificationRoutes = require('./routes/notifications');
 const searchRoutes = require('./routes/search');
 const trendRoutes = require('./routes/trends');
+const mediaRoutes = require('./routes/media');
+const messageRoutes = require('./routes/messages');
+const streamRoutes = require('./routes/stream');
+const exportRoutes = require('./routes/exports');
+const bookmarkRoutes = require('./routes/bookmarks');
+const listRoutes = require('./routes/lists');
+const { limits } = require('./middleware/rateLimit');
+const { startExportWorker } = require('./utils/dataExport');
+const { getTransportName } = require('./utils/mailer');
+
+// Refuse to start without a mail transport, rather than fail on the first email
+getTransportName();
 
 // Initialize app
 const app = express();
 
+// Behind a proxy, trust it for the client IP used by rate limiting
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    startExportWorker().catch(err => console.error('Export worker error:', err));
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Stream connections can carry the access token as ?token=, which must not reach the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
+
 // Middleware
 app.use(express.json());
 app.use(morgan('dev'));
@@ -31,12 +55,16 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Expose-Headers', 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
+// Overall request budget per IP; routes add stricter per-user policies
+app.use('/api', limits.api);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -44,6 +72,12 @@ app.use('/api/tweets', tweetRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/trends', trendRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/lists', listRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
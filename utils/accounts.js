@@ -0,0 +1,103 @@
+
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const Media = require('../models/Media');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const DataExport = require('../models/DataExport');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const List = require('../models/List');
+const { deleteTweets } = require('./tweetCleanup');
+const { removeAllFollows } = require('./follows');
+const { removeUserEngagement } = require('./engagement');
+const { getStorage } = require('./storage');
+const { removeExports } = require('./dataExport');
+const { closeStreams } = require('./realtime');
+
+/**
+ * Permanently delete a user and everything that points at them: their tweets
+ * (with replies and retweets of those), their likes and retweets of other
+ * tweets, follow/block/mute edges on other users, notifications sent or
+ * received, lists, bookmarks, messages, uploads, data exports, sessions and
+ * emailed tokens.
+ */
+const deleteAccount = async (user) => {
+  const userId = user._id;
+  
+  // Tweets and replies they wrote
+  const tweets = await Tweet.find({ user: userId, retweetData: null }).select('hashtags');
+  await deleteTweets(tweets);
+  
+  // Their likes and retweets of other people's tweets
+  await removeUserEngagement(userId);
+  
+  // Follows in either direction, then relationship edges held by other users
+  await removeAllFollows(userId);
+  await User.updateMany(
+    {
+      $or: [
+        { followRequests: userId },
+        { blocked: userId },
+        { muted: userId },
+        { dismissedSuggestions: userId }
+      ]
+    },
+    {
+      $pull: {
+        followRequests: userId,
+        blocked: userId,
+        muted: userId,
+        dismissedSuggestions: userId
+      }
+    }
+  );
+  
+  // Their lists, and their place on or subscription to other people's
+  await List.deleteMany({ owner: userId });
+  await List.updateMany(
+    { $or: [{ members: userId }, { subscribers: userId }] },
+    { $pull: { members: userId, subscribers: userId } }
+  );
+  
+  await Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] });
+  await Bookmark.deleteMany({ user: userId });
+  await BookmarkCollection.deleteMany({ user: userId });
+  
+  // Leave every conversation; ones nobody is left in are removed
+  const messageIds = await Message.find({ sender: userId }).distinct('_id');
+  await Message.deleteMany({ _id: { $in: messageIds } });
+  await Conversation.updateMany(
+    { lastMessage: { $in: messageIds } },
+    { lastMessage: null }
+  );
+  await Conversation.updateMany(
+    { 'participants.user': userId },
+    { $pull: { participants: { user: userId } } }
+  );
+  
+  const emptyConversations = await Conversation.find({ participants: { $size: 0 } }).select('_id');
+  const emptyIds = emptyConversations.map(conversation => conversation._id);
+  await Message.deleteMany({ conversation: { $in: emptyIds } });
+  await Conversation.deleteMany({ _id: { $in: emptyIds } });
+  
+  // Uploaded files
+  const media = await Media.find({ owner: userId });
+  for (const item of media) {
+    await getStorage(item.storage).remove(item.key);
+  }
+  await Media.deleteMany({ owner: userId });
+  
+  await removeExports(await DataExport.find({ user: userId }));
+  // Sign out everywhere, ending any open streams
+  await Session.deleteMany({ user: userId });
+  closeStreams(userId);
+  await AuthToken.deleteMany({ user: userId });
+  
+  await User.deleteOne({ _id: userId });
+};
+
+module.exports = { deleteAccount };
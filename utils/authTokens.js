@@ -0,0 +1,46 @@
+
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./sessions');
+
+// How long each kind of emailed token stays valid
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+// Create a single-use token for a user, invalidating earlier unused ones for the same purpose
+const createAuthToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+const consumeAuthToken = (token, purpose) => {
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken
+};
@@ -0,0 +1,208 @@
+
+const fs = require('fs/promises');
+const path = require('path');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const DataExport = require('../models/DataExport');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+
+// Archives are private, so they live outside the static public/ mount
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports');
+
+// How long a ready archive can be downloaded
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How often expired archives are removed
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const PERSON_FIELDS = 'name username';
+
+const exportPath = (file) => path.join(EXPORT_DIR, file);
+
+// A tweet as it appears in the archive
+const formatArchivedTweet = (tweet) => ({
+  _id: tweet._id,
+  content: tweet.content,
+  createdAt: tweet.createdAt,
+  replyTo: tweet.replyTo,
+  quoteTweet: tweet.quoteTweet,
+  media: tweet.media.map(item => item.url),
+  hashtags: tweet.hashtags,
+  likeCount: tweet.likeCount,
+  retweetCount: tweet.retweetCount
+});
+
+// Someone else's tweet the user interacted with
+const formatReferencedTweet = (tweet) => ({
+  _id: tweet._id,
+  user: tweet.user,
+  content: tweet.content,
+  createdAt: tweet.createdAt
+});
+
+// Collect everything stored about a user into a plain object
+const buildArchive = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-password -followRequests -blocked -muted');
+  
+  const [followers, following] = await Promise.all([
+    Follow.find({ following: userId }).populate('follower', PERSON_FIELDS).sort({ createdAt: 1 }),
+    Follow.find({ follower: userId }).populate('following', PERSON_FIELDS).sort({ createdAt: 1 })
+  ]);
+  
+  const tweets = await Tweet.find({ user: userId, retweetData: null })
+    .populate('media', 'url')
+    .sort({ createdAt: 1 });
+  
+  const likes = await Like.find({ user: userId })
+    .populate({
+      path: 'tweet',
+      select: 'user content createdAt',
+      populate: { path: 'user', select: PERSON_FIELDS }
+    })
+    .sort({ createdAt: 1 });
+  
+  // Retweets are entries pointing at the original tweet
+  const retweets = await Tweet.find({ user: userId, retweetData: { $ne: null } })
+    .populate({
+      path: 'retweetData',
+      select: 'user content createdAt',
+      populate: { path: 'user', select: PERSON_FIELDS }
+    })
+    .sort({ createdAt: 1 });
+  
+  const bookmarks = await Bookmark.find({ user: userId })
+    .populate('bookmarkCollection', 'name')
+    .populate({
+      path: 'tweet',
+      select: 'user content createdAt',
+      populate: { path: 'user', select: PERSON_FIELDS }
+    })
+    .sort({ createdAt: 1 });
+  
+  const notifications = await Notification.find({ recipient: userId })
+    .populate('sender', PERSON_FIELDS)
+    .sort({ createdAt: 1 });
+  
+  return {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      bio: user.bio,
+      location: user.location,
+      website: user.website,
+      profileImage: user.profileImage,
+      isProtected: user.isProtected,
+      twoFactorEnabled: user.twoFactor.enabled,
+      createdAt: user.createdAt
+    },
+    tweets: tweets.filter(tweet => !tweet.replyTo).map(formatArchivedTweet),
+    replies: tweets.filter(tweet => tweet.replyTo).map(formatArchivedTweet),
+    likes: likes
+      .filter(like => like.tweet)
+      .map(like => ({
+        likedAt: like.createdAt,
+        tweet: formatReferencedTweet(like.tweet)
+      })),
+    retweets: retweets
+      .filter(retweet => retweet.retweetData)
+      .map(retweet => ({
+        retweetedAt: retweet.createdAt,
+        tweet: formatReferencedTweet(retweet.retweetData)
+      })),
+    bookmarks: bookmarks
+      .filter(bookmark => bookmark.tweet)
+      .map(bookmark => ({
+        bookmarkedAt: bookmark.createdAt,
+        collection: bookmark.bookmarkCollection ? bookmark.bookmarkCollection.name : null,
+        tweet: formatReferencedTweet(bookmark.tweet)
+      })),
+    followers: followers.filter(edge => edge.follower).map(edge => edge.follower),
+    following: following.filter(edge => edge.following).map(edge => edge.following),
+    notifications: notifications.map(notification => ({
+      type: notification.type,
+      sender: notification.sender,
+      message: notification.message,
+      tweet: notification.tweet,
+      read: notification.read,
+      createdAt: notification.createdAt
+    }))
+  };
+};
+
+// Build and write the archive for an export, recording the outcome on it
+const runExport = async (dataExport) => {
+  try {
+    dataExport.status = 'processing';
+    await dataExport.save();
+    
+    const archive = await buildArchive(dataExport.user);
+    const file = `${dataExport._id}.json`;
+    const data = JSON.stringify(archive, null, 2);
+    
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(exportPath(file), data);
+    
+    dataExport.status = 'ready';
+    dataExport.file = file;
+    dataExport.size = Buffer.byteLength(data);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+    await dataExport.save();
+  } catch (error) {
+    console.error('Data export error:', error);
+    
+    dataExport.status = 'failed';
+    await dataExport.save().catch(() => {});
+  }
+};
+
+// Run an export in the background, after the current request has been answered
+const queueExport = (dataExport) => {
+  setImmediate(() => runExport(dataExport));
+};
+
+// Delete exports along with their archive files
+const removeExports = async (exports) => {
+  for (const dataExport of exports) {
+    if (dataExport.file) {
+      await fs.rm(exportPath(dataExport.file), { force: true });
+    }
+  }
+  
+  await DataExport.deleteMany({ _id: { $in: exports.map(dataExport => dataExport._id) } });
+};
+
+const removeExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+  await removeExports(expired);
+};
+
+/**
+ * Restart exports interrupted by a shutdown and periodically remove expired
+ * archives. Called once the database connection is up.
+ */
+const startExportWorker = async () => {
+  const interrupted = await DataExport.find({ status: { $in: ['pending', 'processing'] } });
+  interrupted.forEach(queueExport);
+  
+  await removeExpiredExports();
+  
+  setInterval(() => {
+    removeExpiredExports().catch(error => console.error('Remove expired exports error:', error));
+  }, SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  exportPath,
+  queueExport,
+  removeExports,
+  startExportWorker
+};
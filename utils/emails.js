@@ -0,0 +1,37 @@
+
+const { sendMail } = require('./mailer');
+const { createAuthToken } = require('./authTokens');
+
+// Base URL of the client app that handles links in emails
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Email a link to verify the user's current email address
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user, 'email_verification');
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Chirp email address',
+    text: `Hi ${user.name},\n\n` +
+      `Confirm your email address by opening this link:\n${clientUrl()}/verify-email?token=${token}\n\n` +
+      'The link expires in 24 hours.'
+  });
+};
+
+// Email a link to reset the user's password
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAuthToken(user, 'password_reset');
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Chirp password',
+    text: `Hi ${user.name},\n\n` +
+      `Reset your password by opening this link:\n${clientUrl()}/reset-password?token=${token}\n\n` +
+      'The link expires in 1 hour. If you didn\'t ask to reset your password, you can ignore this email.'
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,131 @@
+
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+
+/**
+ * Like a tweet. The unique like record makes this atomic: of two concurrent
+ * calls only one creates the record and moves the counter. Returns false if
+ * the user already liked it.
+ */
+const like = async (userId, tweetId) => {
+  try {
+    await Like.create({ user: userId, tweet: tweetId });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  
+  await Tweet.updateOne({ _id: tweetId }, { $inc: { likeCount: 1 } });
+  
+  return true;
+};
+
+// Remove a like; returns false if the user hadn't liked the tweet
+const unlike = async (userId, tweetId) => {
+  const record = await Like.findOneAndDelete({ user: userId, tweet: tweetId });
+  
+  if (!record) return false;
+  
+  await Tweet.updateOne({ _id: tweetId }, { $inc: { likeCount: -1 } });
+  
+  return true;
+};
+
+/**
+ * Retweet a tweet by creating the retweet entry shown in timelines, which is
+ * unique per user and tweet. Returns the entry, or null if the user already
+ * retweeted it.
+ */
+const retweet = async (userId, tweetId) => {
+  let entry;
+  
+  try {
+    entry = await Tweet.create({ user: userId, retweetData: tweetId });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  
+  await Tweet.updateOne({ _id: tweetId }, { $inc: { retweetCount: 1 } });
+  
+  return entry;
+};
+
+// Remove a retweet entry; returns false if the user hadn't retweeted the tweet
+const unretweet = async (userId, tweetId) => {
+  const entry = await Tweet.findOneAndDelete({ user: userId, retweetData: tweetId });
+  
+  if (!entry) return false;
+  
+  await Tweet.updateOne({ _id: tweetId }, { $inc: { retweetCount: -1 } });
+  
+  return true;
+};
+
+// IDs of the tweets in a batch that the viewer has liked and retweeted, in one query each
+const getEngagedTweetIds = async (viewer, tweetIds) => {
+  if (!viewer || tweetIds.length === 0) {
+    return { liked: new Set(), retweeted: new Set() };
+  }
+  
+  const [liked, retweeted] = await Promise.all([
+    Like.find({ user: viewer._id, tweet: { $in: tweetIds } }).distinct('tweet'),
+    Tweet.find({ user: viewer._id, retweetData: { $in: tweetIds } }).distinct('retweetData')
+  ]);
+  
+  return {
+    liked: new Set(liked.map(String)),
+    retweeted: new Set(retweeted.map(String))
+  };
+};
+
+// Remove every like and retweet entry by a user, updating the tweets' counters
+const removeUserEngagement = async (userId) => {
+  const [likedIds, retweetedIds] = await Promise.all([
+    Like.find({ user: userId }).distinct('tweet'),
+    Tweet.find({ user: userId, retweetData: { $ne: null } }).distinct('retweetData')
+  ]);
+  
+  await Like.deleteMany({ user: userId });
+  await Tweet.deleteMany({ user: userId, retweetData: { $ne: null } });
+  
+  await Tweet.updateMany({ _id: { $in: likedIds } }, { $inc: { likeCount: -1 } });
+  await Tweet.updateMany({ _id: { $in: retweetedIds } }, { $inc: { retweetCount: -1 } });
+};
+
+// Recompute every tweet's like and retweet counters from the records, e.g. after a migration
+const recountEngagement = async () => {
+  const [likes, retweets] = await Promise.all([
+    Like.aggregate([{ $group: { _id: '$tweet', count: { $sum: 1 } } }]),
+    Tweet.aggregate([
+      { $match: { retweetData: { $ne: null } } },
+      { $group: { _id: '$retweetData', count: { $sum: 1 } } }
+    ])
+  ]);
+  
+  const updates = [
+    ...likes.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { likeCount: count }, timestamps: false }
+    })),
+    ...retweets.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { retweetCount: count }, timestamps: false }
+    }))
+  ];
+  
+  // Counters aren't edits, so tweets keep their updatedAt
+  await Tweet.updateMany({}, { likeCount: 0, retweetCount: 0 }, { timestamps: false });
+  
+  if (updates.length > 0) {
+    await Tweet.bulkWrite(updates);
+  }
+};
+
+module.exports = {
+  like,
+  unlike,
+  retweet,
+  unretweet,
+  getEngagedTweetIds,
+  removeUserEngagement,
+  recountEngagement
+};
@@ -0,0 +1,104 @@
+
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+/**
+ * Make one user follow another. The unique follow edge makes this atomic:
+ * of two concurrent calls only one creates the edge and moves the counters.
+ * Returns false if the user was already following.
+ */
+const follow = async (followerId, followingId) => {
+  try {
+    await Follow.create({ follower: followerId, following: followingId });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { followerCount: 1 } });
+  
+  return true;
+};
+
+// Stop one user following another; returns false if they weren't following
+const unfollow = async (followerId, followingId) => {
+  const edge = await Follow.findOneAndDelete({ follower: followerId, following: followingId });
+  
+  if (!edge) return false;
+  
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { followerCount: -1 } });
+  
+  return true;
+};
+
+// Check whether one user follows another
+const isFollowing = async (followerId, followingId) => {
+  const edge = await Follow.exists({ follower: followerId, following: followingId });
+  return Boolean(edge);
+};
+
+/**
+ * IDs of the users a user follows. Pass the viewer document rather than an ID
+ * to cache the result on it for the rest of the request.
+ */
+const getFollowingIds = async (user) => {
+  if (user.$locals && user.$locals.followingIds) {
+    return user.$locals.followingIds;
+  }
+  
+  const ids = await Follow.find({ follower: user._id || user }).distinct('following');
+  
+  if (user.$locals) {
+    user.$locals.followingIds = ids;
+  }
+  
+  return ids;
+};
+
+// Remove every follow edge to or from a user, updating the other side's counters
+const removeAllFollows = async (userId) => {
+  const [followingIds, followerIds] = await Promise.all([
+    Follow.find({ follower: userId }).distinct('following'),
+    Follow.find({ following: userId }).distinct('follower')
+  ]);
+  
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+  
+  await User.updateMany({ _id: { $in: followingIds } }, { $inc: { followerCount: -1 } });
+  await User.updateMany({ _id: { $in: followerIds } }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: userId }, { followerCount: 0, followingCount: 0 });
+};
+
+// Recompute every user's follow counters from the edges, e.g. after a migration
+const recountFollows = async () => {
+  const [followers, following] = await Promise.all([
+    Follow.aggregate([{ $group: { _id: '$following', count: { $sum: 1 } } }]),
+    Follow.aggregate([{ $group: { _id: '$follower', count: { $sum: 1 } } }])
+  ]);
+  
+  const updates = [
+    ...followers.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { followerCount: count } }
+    })),
+    ...following.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { followingCount: count } }
+    }))
+  ];
+  
+  await User.updateMany({}, { followerCount: 0, followingCount: 0 });
+  
+  if (updates.length > 0) {
+    await User.bulkWrite(updates);
+  }
+};
+
+module.exports = {
+  follow,
+  unfollow,
+  isFollowing,
+  getFollowingIds,
+  removeAllFollows,
+  recountFollows
+};
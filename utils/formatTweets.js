@@ -0,0 +1,158 @@
+
+const Tweet = require('../models/Tweet');
+const Bookmark = require('../models/Bookmark');
+const { getRestrictedAuthorIds } = require('./relationships');
+const { getEngagedTweetIds } = require('./engagement');
+
+// Author fields returned with every tweet
+const USER_FIELDS = 'name username profileImage';
+
+const mediaPopulate = { path: 'media', select: 'url mimeType' };
+const replyToPopulate = { path: 'replyTo', populate: { path: 'user', select: 'name username' } };
+const quoteTweetPopulate = {
+  path: 'quoteTweet',
+  populate: [{ path: 'user', select: USER_FIELDS }, mediaPopulate]
+};
+
+// Populate spec shared by every query that returns formatted tweets
+const tweetPopulate = [
+  { path: 'user', select: USER_FIELDS },
+  mediaPopulate,
+  replyToPopulate,
+  quoteTweetPopulate,
+  {
+    path: 'retweetData',
+    populate: [
+      { path: 'user', select: USER_FIELDS },
+      mediaPopulate,
+      replyToPopulate,
+      quoteTweetPopulate
+    ]
+  }
+];
+
+// Count documents pointing at each tweet through `field` in a single query
+const countByTweet = async (field, tweetIds) => {
+  const counts = await Tweet.aggregate([
+    { $match: { [field]: { $in: tweetIds } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Count direct replies and quotes for a batch of tweets
+const getCounts = async (tweetIds) => {
+  if (tweetIds.length === 0) {
+    return { replies: new Map(), quotes: new Map() };
+  }
+  
+  const [replies, quotes] = await Promise.all([
+    countByTweet('replyTo', tweetIds),
+    countByTweet('quoteTweet', tweetIds)
+  ]);
+  
+  return { replies, quotes };
+};
+
+// IDs of the tweets in a batch that the viewer has bookmarked
+const getBookmarkedIds = async (viewer, tweetIds) => {
+  if (!viewer || tweetIds.length === 0) return new Set();
+  
+  const bookmarked = await Bookmark.find({ user: viewer._id, tweet: { $in: tweetIds } }).distinct('tweet');
+  
+  return new Set(bookmarked.map(String));
+};
+
+// Shape a single populated tweet document for API responses
+const formatOne = (tweet, context) => {
+  const { counts, engaged, bookmarkedIds } = context;
+  const id = tweet._id.toString();
+  const quoted = context.getQuotedTweet(tweet);
+  
+  return {
+    _id: tweet._id,
+    content: tweet.content,
+    media: tweet.media,
+    user: tweet.user,
+    createdAt: tweet.createdAt,
+    likeCount: tweet.likeCount,
+    retweetCount: tweet.retweetCount,
+    replyCount: counts.replies.get(id) || 0,
+    quoteCount: counts.quotes.get(id) || 0,
+    isLiked: engaged.liked.has(id),
+    isRetweeted: engaged.retweeted.has(id),
+    isBookmarked: bookmarkedIds.has(id),
+    replyTo: tweet.replyTo,
+    quoteTweet: quoted ? formatOne(quoted, context) : null
+  };
+};
+
+/**
+ * Format populated tweets for API responses. Retweet entries are returned
+ * with the original tweet embedded under `retweetData` and the retweeting
+ * user under `retweetedBy`; quoted tweets are embedded under `quoteTweet`.
+ * Tweets by users blocked in either direction or by protected accounts the
+ * viewer doesn't follow, and retweets of them, are dropped, as are retweets
+ * of deleted tweets. Timelines pass `hideMuted` to also drop retweets of
+ * accounts the viewer muted.
+ */
+const formatTweets = async (tweets, viewer, { hideMuted = false } = {}) => {
+  // Authors of the tweets, the tweets they retweet and the tweets they quote
+  const authorIds = tweets
+    .flatMap(tweet => [tweet, tweet.retweetData, tweet.quoteTweet, tweet.retweetData && tweet.retweetData.quoteTweet])
+    .filter(item => item && item.user && item.user._id)
+    .map(item => item.user._id);
+  const restrictedIds = await getRestrictedAuthorIds(viewer, authorIds);
+  const mutedIds = new Set(hideMuted && viewer ? viewer.muted.map(String) : []);
+  
+  // Whether a populated tweet still exists and its author is visible to the viewer
+  const isVisible = (tweet) => Boolean(tweet && tweet.user) && !restrictedIds.has(tweet.user._id.toString());
+  
+  // The quoted tweet, if it was populated, still exists and is visible
+  const getQuotedTweet = (tweet) =>
+    tweet.populated('quoteTweet') && isVisible(tweet.quoteTweet) ? tweet.quoteTweet : null;
+  
+  // Whether a retweet entry's original can be shown
+  const isVisibleRetweet = (tweet) =>
+    isVisible(tweet.retweetData) && !mutedIds.has(tweet.retweetData.user._id.toString());
+  
+  const visible = tweets.filter(tweet => isVisible(tweet) && (!tweet.retweetData || isVisibleRetweet(tweet)));
+  
+  const originals = visible.map(tweet => tweet.retweetData || tweet);
+  const quoted = originals.map(getQuotedTweet).filter(Boolean);
+  const tweetIds = [...originals, ...quoted].map(tweet => tweet._id);
+  const [counts, engaged, bookmarkedIds] = await Promise.all([
+    getCounts(tweetIds),
+    getEngagedTweetIds(viewer, tweetIds),
+    getBookmarkedIds(viewer, tweetIds)
+  ]);
+  
+  const context = { counts, engaged, bookmarkedIds, getQuotedTweet };
+  
+  return visible.map(tweet => {
+    if (!tweet.retweetData) {
+      return formatOne(tweet, context);
+    }
+    
+    return {
+      _id: tweet._id,
+      createdAt: tweet.createdAt,
+      retweetedBy: tweet.user,
+      retweetData: formatOne(tweet.retweetData, context)
+    };
+  });
+};
+
+// Format a single populated tweet, or null if it is hidden from the viewer
+const formatTweet = async (tweet, viewer) => {
+  const [formatted] = await formatTweets([tweet], viewer);
+  return formatted || null;
+};
+
+module.exports = {
+  USER_FIELDS,
+  tweetPopulate,
+  formatTweets,
+  formatTweet
+};
@@ -0,0 +1,19 @@
+
+// Matches #tag tokens that start a word; tags must contain at least one letter
+const HASHTAG_REGEX = /(^|[^\w&#])#(\w*[A-Za-z_]\w*)/g;
+
+// Extract unique, lowercased hashtags (with leading #) from tweet content
+const extractHashtags = (content) => {
+  if (!content) return [];
+  
+  const hashtags = new Set();
+  let match;
+  
+  while ((match = HASHTAG_REGEX.exec(content)) !== null) {
+    hashtags.add(`#${match[2].toLowerCase()}`);
+  }
+  
+  return [...hashtags];
+};
+
+module.exports = extractHashtags;
@@ -0,0 +1,33 @@
+
+const { getRateLimitStore } = require('./rateLimit');
+
+// Failed sign-ins allowed per account before it is locked
+const MAX_LOGIN_FAILURES = 5;
+
+// How long failures are remembered, and so how long a lockout lasts
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+const failureKey = (email) => `login-failures:${String(email).trim().toLowerCase()}`;
+
+// Seconds until an account can sign in again, or 0 if it is not locked
+const getLockout = async (email) => {
+  const entry = await getRateLimitStore().get(failureKey(email));
+  
+  if (!entry || entry.count < MAX_LOGIN_FAILURES) {
+    return 0;
+  }
+  
+  return Math.ceil((entry.resetAt - Date.now()) / 1000);
+};
+
+// Record a failed password or 2FA code for an account
+const recordLoginFailure = async (email) => {
+  await getRateLimitStore().increment(failureKey(email), LOGIN_FAILURE_WINDOW_MS);
+};
+
+// Clear an account's failures after a successful sign-in
+const clearLoginFailures = async (email) => {
+  await getRateLimitStore().reset(failureKey(email));
+};
+
+module.exports = { getLockout, recordLoginFailure, clearLoginFailures };
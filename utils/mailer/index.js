@@ -0,0 +1,43 @@
+
+const consoleTransport = require('./console');
+const outbox = require('./outbox');
+
+/**
+ * Mail transports keyed by name. A transport exposes
+ * `send({ to, subject, text })`.
+ */
+const transports = { console: consoleTransport, outbox };
+
+// Register an additional mail transport (e.g. SMTP) under a name
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Name of the transport configured in MAIL_TRANSPORT. Only development falls
+ * back to printing emails, so a deploy that forgets to set it fails instead
+ * of logging reset and verification links.
+ */
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'development') return 'console';
+  
+  throw new Error('MAIL_TRANSPORT must be set outside development');
+};
+
+// Send an email through the transport configured in MAIL_TRANSPORT
+const sendMail = async (mail) => {
+  const name = getTransportName();
+  const transport = transports[name];
+  
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Chirp Social <no-reply@chirp.social>',
+    ...mail
+  });
+};
+
+module.exports = { registerTransport, getTransportName, sendMail };
@@ -0,0 +1,19 @@
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Emails are written here as JSON files instead of being delivered
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox');
+
+// Write an email to the local outbox, for development and tests
+const send = async (mail) => {
+  await fs.mkdir(OUTBOX_DIR, { recursive: true });
+  
+  const filename = `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, '_')}.json`;
+  await fs.writeFile(
+    path.join(OUTBOX_DIR, filename),
+    JSON.stringify({ ...mail, sentAt: new Date() }, null, 2)
+  );
+};
+
+module.exports = { send };
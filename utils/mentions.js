@@ -0,0 +1,19 @@
+
+// Matches @username tokens that start a word, using the User.username rules
+const MENTION_REGEX = /(^|[^\w@])@(\w{1,15})(?!\w)/g;
+
+// Extract unique, lowercased usernames mentioned in tweet content
+const extractMentions = (content) => {
+  if (!content) return [];
+  
+  const usernames = new Set();
+  let match;
+  
+  while ((match = MENTION_REGEX.exec(content)) !== null) {
+    usernames.add(match[2].toLowerCase());
+  }
+  
+  return [...usernames];
+};
+
+module.exports = extractMentions;
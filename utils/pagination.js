@@ -0,0 +1,119 @@
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Encode the position of a document as an opaque cursor
+const encodeCursor = (doc) => {
+  const payload = JSON.stringify({ t: doc.createdAt.getTime(), id: doc._id.toString() });
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Decode a cursor back into a createdAt/_id position, or null if malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read and clamp `limit` from the query string
+const parseLimit = (query) => {
+  const parsedLimit = parseInt(query.limit, 10);
+  
+  return Number.isNaN(parsedLimit)
+    ? DEFAULT_LIMIT
+    : Math.min(Math.max(parsedLimit, 1), MAX_LIMIT);
+};
+
+/**
+ * Read `cursor` and `limit` from the query string. Returns null when the
+ * cursor is malformed so routes can answer with a 400.
+ */
+const parsePagination = (query) => {
+  const limit = parseLimit(query);
+  
+  if (!query.cursor) {
+    return { limit, position: null };
+  }
+  
+  const position = decodeCursor(query.cursor);
+  
+  return position ? { limit, position } : null;
+};
+
+/**
+ * Read an offset `cursor` and `limit` for ranked results, which are ordered
+ * by score rather than createdAt/_id. Returns null when the cursor is
+ * malformed.
+ */
+const parseOffsetPagination = (query) => {
+  const offset = query.cursor ? Number(query.cursor) : 0;
+  
+  if (!Number.isInteger(offset) || offset < 0) {
+    return null;
+  }
+  
+  return { limit: parseLimit(query), offset };
+};
+
+// Cursor for the page after an offset page, or null if it was the last
+const nextOffsetCursor = (page, total) => {
+  const next = page.offset + page.limit;
+  return next < total ? String(next) : null;
+};
+
+// Restrict a filter to documents older than the cursor position
+const withCursor = (filter, page) => {
+  if (!page.position) return filter;
+  
+  const { createdAt, _id } = page.position;
+  
+  return {
+    $and: [
+      filter,
+      {
+        $or: [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: _id } }
+        ]
+      }
+    ]
+  };
+};
+
+// Sort order every cursor-paginated query must use
+const CURSOR_SORT = { createdAt: -1, _id: -1 };
+
+/**
+ * Trim a result set fetched with `limit + 1` documents and compute the
+ * cursor for the next page, if there is one.
+ */
+const buildPage = (docs, page) => {
+  const hasMore = docs.length > page.limit;
+  const items = hasMore ? docs.slice(0, page.limit) : docs;
+  
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  };
+};
+
+module.exports = {
+  CURSOR_SORT,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  parseOffsetPagination,
+  nextOffsetCursor,
+  withCursor,
+  buildPage
+};
@@ -0,0 +1,276 @@
+
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const { tweetPopulate, formatTweets } = require('./formatTweets');
+const { getBlockedUserIds, getRestrictedAuthorIds } = require('./relationships');
+const { nextOffsetCursor } = require('./pagination');
+const { getFollowingIds } = require('./follows');
+
+const HOUR = 60 * 60 * 1000;
+
+// Only tweets this recent are considered
+const CANDIDATE_WINDOW_MS = 72 * HOUR;
+
+// Cap on candidates fetched from each source
+const MAX_CANDIDATES_PER_SOURCE = 300;
+
+// Second-degree accounts considered, most followed by the viewer's follows first
+const MAX_SECOND_DEGREE_USERS = 200;
+
+// Cap on recent likes and on recent retweets by the viewer's follows looked at
+const MAX_FOLLOWED_ENGAGEMENTS = 1000;
+
+// How far back the viewer's own likes, retweets and replies count towards affinity
+const INTERACTION_WINDOW_MS = 30 * 24 * HOUR;
+
+// A tweet's recency weight halves every this many hours
+const RECENCY_HALF_LIFE_HOURS = 12;
+
+// Ranked pages are deep enough for a session of scrolling, not the whole window
+const MAX_RANKED_RESULTS = 500;
+
+// How much each source counts before engagement, recency and affinity
+const SOURCE_WEIGHTS = {
+  following: 1,
+  engaged: 0.7,
+  secondDegree: 0.5
+};
+
+// Count how often the viewer liked, retweeted or replied to each author recently
+const getAuthorAffinity = async (viewer) => {
+  const since = new Date(Date.now() - INTERACTION_WINDOW_MS);
+  
+  const [likes, retweets, replies] = await Promise.all([
+    Like.find({ user: viewer._id, createdAt: { $gte: since } })
+      .select('tweet')
+      .populate('tweet', 'user')
+      .limit(1000),
+    Tweet.find({ user: viewer._id, retweetData: { $ne: null }, createdAt: { $gte: since } })
+      .select('retweetData')
+      .populate('retweetData', 'user')
+      .limit(1000),
+    Tweet.find({ user: viewer._id, replyTo: { $ne: null }, createdAt: { $gte: since } })
+      .select('replyTo')
+      .populate('replyTo', 'user')
+      .limit(1000)
+  ]);
+  
+  const counts = new Map();
+  const add = (authorId, amount) => {
+    const key = authorId.toString();
+    counts.set(key, (counts.get(key) || 0) + amount);
+  };
+  
+  // Skip engagement with tweets deleted since
+  for (const like of likes) {
+    if (like.tweet) add(like.tweet.user, 1);
+  }
+  
+  for (const entry of retweets) {
+    if (entry.retweetData) add(entry.retweetData.user, 1);
+  }
+  
+  for (const reply of replies) {
+    if (reply.replyTo) add(reply.replyTo.user, 2);
+  }
+  
+  return counts;
+};
+
+// Accounts followed by the viewer's follows, with how many do and one of them to credit
+const getSecondDegreeUsers = async (followingIds, excludedIds) => {
+  const results = await Follow.aggregate([
+    { $match: { follower: { $in: followingIds }, following: { $nin: excludedIds } } },
+    { $group: { _id: '$following', count: { $sum: 1 }, via: { $first: '$follower' } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_SECOND_DEGREE_USERS }
+  ]);
+  
+  return results.map(({ _id, count, via }) => ({ id: _id, count, via }));
+};
+
+// Who among the viewer's follows recently liked and retweeted each tweet
+const getFollowedEngagement = async (followingIds, since) => {
+  const [likes, retweets] = await Promise.all([
+    Like.find({ user: { $in: followingIds }, createdAt: { $gte: since } })
+      .select('user tweet')
+      .sort({ createdAt: -1 })
+      .limit(MAX_FOLLOWED_ENGAGEMENTS),
+    Tweet.find({ user: { $in: followingIds }, retweetData: { $ne: null }, createdAt: { $gte: since } })
+      .select('user retweetData')
+      .sort({ createdAt: -1 })
+      .limit(MAX_FOLLOWED_ENGAGEMENTS)
+  ]);
+  
+  const group = (records, field) => {
+    const byTweet = new Map();
+    
+    for (const record of records) {
+      const key = record[field].toString();
+      if (!byTweet.has(key)) byTweet.set(key, []);
+      byTweet.get(key).push(record.user);
+    }
+    
+    return byTweet;
+  };
+  
+  return { likedBy: group(likes, 'tweet'), retweetedBy: group(retweets, 'retweetData') };
+};
+
+// Count direct replies for a batch of tweets
+const getReplyCounts = async (tweetIds) => {
+  const counts = await Tweet.aggregate([
+    { $match: { replyTo: { $in: tweetIds } } },
+    { $group: { _id: '$replyTo', count: { $sum: 1 } } }
+  ]);
+  
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Describe a list of people for a reason, e.g. "@alice and 2 others you follow"
+const describePeople = (usernames) => {
+  if (usernames.length === 1) return `@${usernames[0]}`;
+  
+  const others = usernames.length - 1;
+  return `@${usernames[0]} and ${others} ${others === 1 ? 'other' : 'others'} you follow`;
+};
+
+/**
+ * Gather candidate tweets for a viewer's ranked timeline, each with the
+ * source it came from and a short explanation of why it was picked. Sources
+ * are tweets by followed accounts, tweets liked or retweeted by followed
+ * accounts, and tweets by accounts the viewer's follows follow.
+ */
+const getCandidates = async (viewer) => {
+  const since = new Date(Date.now() - CANDIDATE_WINDOW_MS);
+  const followingIds = await getFollowingIds(viewer);
+  const hiddenIds = [...(await getBlockedUserIds(viewer)), ...viewer.muted];
+  const baseFilter = { replyTo: null, retweetData: null, createdAt: { $gte: since } };
+  
+  const [secondDegree, { likedBy, retweetedBy }] = await Promise.all([
+    getSecondDegreeUsers(followingIds, [viewer._id, ...followingIds, ...hiddenIds]),
+    getFollowedEngagement(followingIds, since)
+  ]);
+  const engagedIds = [...new Set([...likedBy.keys(), ...retweetedBy.keys()])];
+  
+  const [followed, engaged, discovered, follows] = await Promise.all([
+    Tweet.find({ ...baseFilter, user: { $in: [viewer._id, ...followingIds], $nin: hiddenIds } })
+      .select('user likeCount retweetCount createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES_PER_SOURCE),
+    Tweet.find({ ...baseFilter, _id: { $in: engagedIds }, user: { $nin: [viewer._id, ...hiddenIds] } })
+      .select('user likeCount retweetCount createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES_PER_SOURCE),
+    Tweet.find({ ...baseFilter, user: { $in: secondDegree.map(entry => entry.id) } })
+      .select('user likeCount retweetCount createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES_PER_SOURCE),
+    User.find({ _id: { $in: followingIds } }).select('username')
+  ]);
+  
+  // Protected accounts the viewer doesn't follow can only come from the other sources
+  const restrictedIds = await getRestrictedAuthorIds(viewer, [...engaged, ...discovered].map(tweet => tweet.user));
+  const isVisible = (tweet) => !restrictedIds.has(tweet.user.toString());
+  
+  const usernames = new Map(follows.map(user => [user._id.toString(), user.username]));
+  const secondDegreeByUser = new Map(secondDegree.map(entry => [entry.id.toString(), entry]));
+  const candidates = new Map();
+  
+  // Earlier sources win when a tweet comes from more than one
+  const add = (tweet, source, reason, boost = 1) => {
+    const key = tweet._id.toString();
+    
+    if (!candidates.has(key)) {
+      candidates.set(key, { tweet, weight: SOURCE_WEIGHTS[source] * boost, reason });
+    }
+  };
+  
+  for (const tweet of followed) {
+    const isOwn = tweet.user.equals(viewer._id);
+    add(tweet, 'following', isOwn ? 'Your chirp' : `From @${usernames.get(tweet.user.toString())}, who you follow`);
+  }
+  
+  for (const tweet of engaged.filter(isVisible)) {
+    const likers = likedBy.get(tweet._id.toString()) || [];
+    const retweeters = retweetedBy.get(tweet._id.toString()) || [];
+    const [verb, people] = retweeters.length > 0 ? ['Retweeted', retweeters] : ['Liked', likers];
+    const names = people.map(id => usernames.get(id.toString())).filter(Boolean);
+    
+    // More of the viewer's follows engaging is stronger social proof
+    const proof = new Set([...likers, ...retweeters].map(String)).size;
+    add(tweet, 'engaged', `${verb} by ${describePeople(names)}`, 1 + Math.log1p(proof) / 2);
+  }
+  
+  for (const tweet of discovered.filter(isVisible)) {
+    const entry = secondDegreeByUser.get(tweet.user.toString());
+    const via = usernames.get(entry.via.toString());
+    const reason = entry.count > 1
+      ? `Followed by @${via} and ${entry.count - 1} more you follow`
+      : `Followed by @${via}, who you follow`;
+    
+    add(tweet, 'secondDegree', reason, 1 + Math.log1p(entry.count) / 4);
+  }
+  
+  return [...candidates.values()];
+};
+
+/**
+ * Score candidates by engagement (likes, retweets and replies), recency decay,
+ * their source and how often the viewer has interacted with the author.
+ */
+const scoreCandidates = async (candidates, viewer) => {
+  const [replyCounts, affinity] = await Promise.all([
+    getReplyCounts(candidates.map(candidate => candidate.tweet._id)),
+    getAuthorAffinity(viewer)
+  ]);
+  const now = Date.now();
+  
+  return candidates.map(candidate => {
+    const { tweet } = candidate;
+    const engagement = tweet.likeCount +
+      2 * tweet.retweetCount +
+      1.5 * (replyCounts.get(tweet._id.toString()) || 0);
+    const ageHours = (now - tweet.createdAt.getTime()) / HOUR;
+    const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+    const interactions = affinity.get(tweet.user.toString()) || 0;
+    
+    return {
+      ...candidate,
+      score: candidate.weight * (1 + Math.log1p(engagement)) * recency * (1 + Math.log1p(interactions) / 2)
+    };
+  });
+};
+
+/**
+ * Build a page of the viewer's ranked "For You" timeline from an offset page.
+ * Tweets are returned formatted, highest score first, each with a `reason`
+ * explaining why it was chosen.
+ */
+const getRankedTimeline = async (viewer, page) => {
+  const { limit, offset } = page;
+  const candidates = await scoreCandidates(await getCandidates(viewer), viewer);
+  const ranked = candidates
+    .sort((a, b) => b.score - a.score || b.tweet.createdAt - a.tweet.createdAt)
+    .slice(0, MAX_RANKED_RESULTS);
+  const pageItems = ranked.slice(offset, offset + limit);
+  
+  const tweets = await Tweet.find({ _id: { $in: pageItems.map(item => item.tweet._id) } })
+    .populate(tweetPopulate);
+  const tweetsById = new Map(tweets.map(tweet => [tweet._id.toString(), tweet]));
+  const ordered = pageItems
+    .map(item => tweetsById.get(item.tweet._id.toString()))
+    .filter(Boolean);
+  
+  const reasons = new Map(pageItems.map(item => [item.tweet._id.toString(), item.reason]));
+  const formatted = await formatTweets(ordered, viewer);
+  
+  return {
+    tweets: formatted.map(tweet => ({ ...tweet, reason: reasons.get(tweet._id.toString()) })),
+    nextCursor: nextOffsetCursor(page, ranked.length)
+  };
+};
+
+module.exports = { getRankedTimeline };
@@ -0,0 +1,29 @@
+
+const memory = require('./memory');
+
+/**
+ * Rate limit stores keyed by name. A store keeps fixed-window counters and
+ * exposes `increment(key, windowMs) => { count, resetAt }`,
+ * `get(key) => { count, resetAt } | null` and `reset(key)`.
+ * The in-memory store is per process; register a shared store (e.g. Redis)
+ * when running more than one instance.
+ */
+const stores = { memory };
+
+// Register an additional rate limit store under a name
+const registerRateLimitStore = (name, store) => {
+  stores[name] = store;
+};
+
+// Get a store by name, defaulting to the one configured in RATE_LIMIT_STORE
+const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  const store = stores[name];
+  
+  if (!store) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  
+  return store;
+};
+
+module.exports = { registerRateLimitStore, getRateLimitStore };
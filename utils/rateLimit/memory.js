@@ -0,0 +1,47 @@
+
+// Fixed-window counters keyed by name; entries are dropped once their window ends
+const windows = new Map();
+
+// How often expired windows are swept from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Count a hit against a key, starting a new window if the last one has ended
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+  let entry = windows.get(key);
+  
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+  
+  entry.count += 1;
+  
+  return { count: entry.count, resetAt: entry.resetAt };
+};
+
+// Get the current window for a key, or null if there is none
+const get = async (key) => {
+  const entry = windows.get(key);
+  
+  if (!entry || entry.resetAt <= Date.now()) {
+    return null;
+  }
+  
+  return { count: entry.count, resetAt: entry.resetAt };
+};
+
+// Forget a key's window
+const reset = async (key) => {
+  windows.delete(key);
+};
+
+setInterval(() => {
+  const now = Date.now();
+  
+  for (const [key, entry] of windows) {
+    if (entry.resetAt <= now) windows.delete(key);
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = { increment, get, reset };
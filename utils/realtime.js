@@ -0,0 +1,130 @@
+
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Session = require('../models/Session');
+
+// Open Server-Sent Events streams, keyed by user ID, each mapping a response to its session ID
+const streams = new Map();
+
+// Interval for keep-alive comments so proxies don't close idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// How often a stream checks that its session is still live, e.g. when revoked by another process
+const SESSION_CHECK_MS = 60 * 1000;
+
+// Write a single SSE event to a response
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Register a response as a stream for a user's session; returns a function
+ * that unregisters it. The stream is ended once the session is revoked,
+ * expires or the user is deleted.
+ */
+const subscribe = (userId, sessionId, res) => {
+  const key = userId.toString();
+  
+  if (!streams.has(key)) streams.set(key, new Map());
+  streams.get(key).set(res, sessionId.toString());
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  
+  const sessionCheck = setInterval(async () => {
+    try {
+      const live = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+      if (!live) res.end();
+    } catch (error) {
+      console.error('Stream session check error:', error);
+    }
+  }, SESSION_CHECK_MS);
+  
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    
+    const userStreams = streams.get(key);
+    if (!userStreams) return;
+    
+    userStreams.delete(res);
+    if (userStreams.size === 0) streams.delete(key);
+  };
+  
+  // Ending the stream from here unregisters it too
+  res.on('finish', unsubscribe);
+  
+  return unsubscribe;
+};
+
+// End a user's open streams, only those of `sessionIds` when given
+const closeStreams = (userId, sessionIds = null) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+  
+  const ended = sessionIds && new Set(sessionIds.map(String));
+  
+  for (const [res, sessionId] of userStreams) {
+    if (!ended || ended.has(sessionId)) res.end();
+  }
+};
+
+// Check whether a user has at least one open stream
+const isConnected = (userId) => streams.has(userId.toString());
+
+// Push an event to every open stream of a user
+const publish = (userId, event, data) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+  
+  for (const res of userStreams.keys()) {
+    writeEvent(res, event, data);
+  }
+};
+
+// Push a newly created notification to its recipient, unless they muted the sender
+const pushNotification = async (notification) => {
+  if (!isConnected(notification.recipient)) return;
+  
+  const muted = await User.exists({ _id: notification.recipient, muted: notification.sender });
+  if (muted) return;
+  
+  await notification.populate('sender', 'name username profileImage');
+  
+  publish(notification.recipient, 'notification', notification);
+};
+
+// Tell connected followers of an author that new chirps are available in their timeline
+const pushNewChirp = async (author, tweet) => {
+  if (streams.size === 0) return;
+  
+  // Look up only the connected users, not every follower of a popular account
+  const connected = await Follow.find({
+    follower: { $in: [...streams.keys()] },
+    following: author._id
+  }).distinct('follower');
+  if (connected.length === 0) return;
+  
+  const mutedBy = await User.find({ _id: { $in: connected }, muted: author._id }).distinct('_id');
+  const mutedBySet = new Set(mutedBy.map(String));
+  
+  const event = {
+    tweet: tweet._id,
+    user: { _id: author._id, username: author.username, name: author.name }
+  };
+  
+  for (const followerId of connected) {
+    if (!mutedBySet.has(followerId.toString())) {
+      publish(followerId, 'new_chirps', event);
+    }
+  }
+};
+
+module.exports = {
+  writeEvent,
+  subscribe,
+  closeStreams,
+  isConnected,
+  publish,
+  pushNotification,
+  pushNewChirp
+};
@@ -0,0 +1,141 @@
+
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+/**
+ * IDs of users the viewer has blocked or been blocked by. The result is cached
+ * on the viewer document, which lives for a single request.
+ */
+const getBlockedUserIds = async (viewer) => {
+  if (!viewer) return [];
+  
+  if (!viewer.$locals.blockedUserIds) {
+    const blockedBy = await User.find({ blocked: viewer._id }).distinct('_id');
+    viewer.$locals.blockedUserIds = [...viewer.blocked, ...blockedBy];
+  }
+  
+  return viewer.$locals.blockedUserIds;
+};
+
+/**
+ * Of the given authors, the IDs of those whose content the viewer may not
+ * see: users blocked in either direction and protected accounts the viewer
+ * doesn't follow. Only the authors passed in are looked up, so callers query
+ * by blocked IDs and filter protected authors from the page they loaded.
+ */
+const getRestrictedAuthorIds = async (viewer, authorIds) => {
+  const blocked = new Set((await getBlockedUserIds(viewer)).map(String));
+  const ids = [...new Set(authorIds.map(String))];
+  const restricted = new Set(ids.filter(id => blocked.has(id)));
+  
+  // The viewer always sees their own content
+  const candidates = ids.filter(id => !blocked.has(id) && !(viewer && viewer._id.toString() === id));
+  
+  if (candidates.length === 0) return restricted;
+  
+  const protectedIds = await User.find({ _id: { $in: candidates }, isProtected: true }).distinct('_id');
+  
+  if (protectedIds.length === 0) return restricted;
+  
+  const approved = viewer
+    ? await Follow.find({ follower: viewer._id, following: { $in: protectedIds } }).distinct('following')
+    : [];
+  const approvedSet = new Set(approved.map(String));
+  
+  protectedIds
+    .filter(id => !approvedSet.has(id.toString()))
+    .forEach(id => restricted.add(id.toString()));
+  
+  return restricted;
+};
+
+// IDs of users whose content the viewer should not see in their timeline
+const getHiddenUserIds = async (viewer) => {
+  const blocked = await getBlockedUserIds(viewer);
+  return [...blocked, ...viewer.muted];
+};
+
+// Check whether either of two users has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  const block = await User.exists({
+    $or: [
+      { _id: userId, blocked: otherUserId },
+      { _id: otherUserId, blocked: userId }
+    ]
+  });
+  
+  return Boolean(block);
+};
+
+// Check whether the viewer may see a user's tweets, replies and follower lists
+const canViewUserContent = async (viewer, ownerId) => {
+  if (viewer && viewer._id.toString() === ownerId.toString()) return true;
+  
+  if (viewer && await isBlockedBetween(viewer._id, ownerId)) return false;
+  
+  const owner = await User.findById(ownerId).select('isProtected');
+  
+  if (!owner) return false;
+  
+  if (!owner.isProtected) return true;
+  
+  // Protected accounts are visible to their followers
+  return Boolean(viewer) && Boolean(await Follow.exists({ follower: viewer._id, following: ownerId }));
+};
+
+// Check whether a tweet author other than the viewer has a protected account, whose chirps can't be shared
+const isProtectedAuthor = async (viewer, authorId) => {
+  if (viewer._id.toString() === authorId.toString()) return false;
+  
+  const author = await User.exists({ _id: authorId, isProtected: true });
+  return Boolean(author);
+};
+
+// Check whether a user may send direct messages to another: the recipient must follow the sender
+const canMessage = async (senderId, recipientId) => {
+  if (await isBlockedBetween(senderId, recipientId)) return false;
+  
+  const follows = await Follow.exists({ follower: recipientId, following: senderId });
+  return Boolean(follows);
+};
+
+/**
+ * The viewer's relationship to each of a batch of users, keyed by user ID.
+ * Uses the viewer's block and mute lists plus a query per kind of edge.
+ */
+const getRelationships = async (viewer, userIds) => {
+  const [others, followingIds, followerIds] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('followRequests blocked'),
+    Follow.find({ follower: viewer._id, following: { $in: userIds } }).distinct('following'),
+    Follow.find({ follower: { $in: userIds }, following: viewer._id }).distinct('follower')
+  ]);
+  const othersById = new Map(others.map(user => [user._id.toString(), user]));
+  const toSet = (ids) => new Set(ids.map(String));
+  const [following, followers, blocked, muted] =
+    [followingIds, followerIds, viewer.blocked, viewer.muted].map(toSet);
+  
+  return new Map(userIds.map(userId => {
+    const id = userId.toString();
+    const other = othersById.get(id);
+    
+    return [id, {
+      isFollowing: following.has(id),
+      isFollowedBy: followers.has(id),
+      isFollowRequested: Boolean(other) && other.followRequests.includes(viewer._id),
+      isBlocking: blocked.has(id),
+      isBlockedBy: Boolean(other) && other.blocked.includes(viewer._id),
+      isMuting: muted.has(id)
+    }];
+  }));
+};
+
+module.exports = {
+  getBlockedUserIds,
+  getRestrictedAuthorIds,
+  getHiddenUserIds,
+  isBlockedBetween,
+  canViewUserContent,
+  isProtectedAuthor,
+  canMessage,
+  getRelationships
+};
@@ -0,0 +1,97 @@
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const generateToken = require('./generateToken');
+const { closeStreams } = require('./realtime');
+
+// How long a refresh token stays valid without being used
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Issue an access token and a refresh token for a session
+const issueTokens = (session, refreshToken) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken
+});
+
+// Start a new session for a user, recording the device and IP it came from
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  
+  return issueTokens(session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair. The old
+ * refresh token stops working. The lookup and rotation are a single update,
+ * so of two refreshes with the same token only one succeeds. Presenting a
+ * token that no live session holds means it was already rotated (stolen or
+ * replayed), so the session it came from is revoked. Returns null when the
+ * token cannot be used.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const newRefreshToken = generateRefreshToken();
+  
+  const update = {
+    previousTokenHash: tokenHash,
+    refreshTokenHash: hashToken(newRefreshToken),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  };
+  
+  // Keep the recorded device and IP when the request doesn't carry them
+  if (req.headers['user-agent']) update.userAgent = req.headers['user-agent'];
+  if (req.ip) update.ip = req.ip;
+  
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    update,
+    { new: true }
+  );
+  
+  if (!session) {
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: now }
+    );
+    return null;
+  }
+  
+  return issueTokens(session, newRefreshToken);
+};
+
+// Revoke sessions of a user matching an extra filter, ending their open streams
+const revokeSessions = async (userId, filter = {}) => {
+  const query = { user: userId, revokedAt: null, ...filter };
+  const sessionIds = await Session.find(query).distinct('_id');
+  
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  
+  closeStreams(userId, sessionIds);
+  
+  return result;
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSessions
+};
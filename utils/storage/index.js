@@ -0,0 +1,26 @@
+
+const local = require('./local');
+
+/**
+ * Storage backends keyed by name. A backend exposes
+ * `save({ key, buffer, mimeType }) => { url }` and `remove(key)`.
+ */
+const backends = { local };
+
+// Register an additional storage backend (e.g. S3) under a name
+const registerStorage = (name, backend) => {
+  backends[name] = backend;
+};
+
+// Get a backend by name, defaulting to the one configured in MEDIA_STORAGE
+const getStorage = (name = process.env.MEDIA_STORAGE || 'local') => {
+  const backend = backends[name];
+  
+  if (!backend) {
+    throw new Error(`Unknown media storage backend: ${name}`);
+  }
+  
+  return { name, ...backend };
+};
+
+module.exports = { registerStorage, getStorage };
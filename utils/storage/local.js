@@ -0,0 +1,26 @@
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Uploads live under the static public/ mount so they are served as-is
+const UPLOAD_DIR = path.join(__dirname, '..', '..', 'public', 'uploads');
+const UPLOAD_URL = '/uploads';
+
+// Store a file on local disk
+const save = async ({ key, buffer }) => {
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(path.join(UPLOAD_DIR, key), buffer);
+  
+  return { url: `${UPLOAD_URL}/${key}` };
+};
+
+// Remove a stored file, ignoring files that are already gone
+const remove = async (key) => {
+  try {
+    await fs.unlink(path.join(UPLOAD_DIR, key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = { save, remove };
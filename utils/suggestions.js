@@ -0,0 +1,229 @@
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const { getBlockedUserIds } = require('./relationships');
+const { getFollowingIds } = require('./follows');
+
+// How far back shared likes and retweets count
+const INTERACTION_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Cap on the viewer's recent likes and retweets looked at
+const MAX_INTERACTIONS = 200;
+
+// Cap on other people's likes and retweets of those tweets looked at
+const MAX_CO_ENGAGEMENTS = 2000;
+
+// Cap on candidates taken from each part of the follow graph
+const MAX_GRAPH_CANDIDATES = 500;
+
+// How much each signal adds to a candidate's score
+const SIGNAL_WEIGHTS = {
+  followedByFollowing: 3,
+  followsYou: 4,
+  interactedWith: 2,
+  coEngagement: 1.5,
+  followedByFollowers: 1
+};
+
+const SUGGESTION_FIELDS = 'name username profileImage bio isProtected';
+
+/**
+ * IDs of accounts that should never be suggested to the viewer: themselves,
+ * accounts they follow or asked to follow, blocked in either direction,
+ * muted, or dismissed.
+ */
+const getExcludedIds = async (viewer) => {
+  const [blocked, requested, following] = await Promise.all([
+    getBlockedUserIds(viewer),
+    User.find({ followRequests: viewer._id }).distinct('_id'),
+    getFollowingIds(viewer)
+  ]);
+  
+  return [
+    viewer._id,
+    ...following,
+    ...requested,
+    ...blocked,
+    ...viewer.muted,
+    ...viewer.dismissedSuggestions
+  ];
+};
+
+// Accumulates weighted signals per candidate account
+const createTally = (excludedIds) => {
+  const excluded = new Set(excludedIds.map(String));
+  const candidates = new Map();
+  
+  const add = (userId, signal, count = 1, via = null) => {
+    const key = userId.toString();
+    
+    if (excluded.has(key)) return;
+    
+    if (!candidates.has(key)) {
+      candidates.set(key, { id: userId, score: 0, signals: {}, via: null });
+    }
+    
+    const candidate = candidates.get(key);
+    candidate.score += SIGNAL_WEIGHTS[signal] * count;
+    candidate.signals[signal] = (candidate.signals[signal] || 0) + count;
+    
+    if (via) candidate.via = via;
+  };
+  
+  return { add, candidates };
+};
+
+// Likes and retweets the viewer shares with others, and authors they engage with
+const addInteractionSignals = async (viewer, add) => {
+  const since = new Date(Date.now() - INTERACTION_WINDOW_MS);
+  const [liked, retweeted] = await Promise.all([
+    Like.find({ user: viewer._id, createdAt: { $gte: since } })
+      .select('tweet')
+      .sort({ createdAt: -1 })
+      .limit(MAX_INTERACTIONS),
+    Tweet.find({ user: viewer._id, retweetData: { $ne: null }, createdAt: { $gte: since } })
+      .select('retweetData')
+      .sort({ createdAt: -1 })
+      .limit(MAX_INTERACTIONS)
+  ]);
+  const tweetIds = [...liked.map(like => like.tweet), ...retweeted.map(entry => entry.retweetData)];
+  
+  const [tweets, likes, retweets] = await Promise.all([
+    Tweet.find({ _id: { $in: tweetIds } }).select('user'),
+    Like.find({ tweet: { $in: tweetIds }, user: { $ne: viewer._id } })
+      .select('user tweet')
+      .limit(MAX_CO_ENGAGEMENTS),
+    Tweet.find({ retweetData: { $in: tweetIds }, user: { $ne: viewer._id } })
+      .select('user retweetData')
+      .limit(MAX_CO_ENGAGEMENTS)
+  ]);
+  
+  tweets.forEach(tweet => add(tweet.user, 'interactedWith'));
+  
+  // Liking and retweeting the same tweet counts once
+  const pairs = new Map([
+    ...likes.map(like => [`${like.user}:${like.tweet}`, like.user]),
+    ...retweets.map(entry => [`${entry.user}:${entry.retweetData}`, entry.user])
+  ]);
+  pairs.forEach(userId => add(userId, 'coEngagement'));
+};
+
+// Accounts followed by any of `followerIds`, with how many of them follow each and one to credit
+const countFollowedBy = (followerIds, excludedIds) => {
+  return Follow.aggregate([
+    { $match: { follower: { $in: followerIds }, following: { $nin: excludedIds } } },
+    { $group: { _id: '$following', count: { $sum: 1 }, via: { $first: '$follower' } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_GRAPH_CANDIDATES }
+  ]);
+};
+
+// Explain the strongest reason a candidate was suggested
+const describeReason = (candidate, usernames) => {
+  const { signals, via } = candidate;
+  
+  if (signals.followedByFollowing) {
+    const first = via && usernames.get(via.toString());
+    const others = signals.followedByFollowing - 1;
+    
+    if (first && others > 0) return `Followed by @${first} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    if (first) return `Followed by @${first}`;
+  }
+  
+  if (signals.followsYou) return 'Follows you';
+  if (signals.interactedWith) return 'You interact with their chirps';
+  if (signals.coEngagement) return 'Likes the same chirps as you';
+  
+  return 'Followed by people who follow you';
+};
+
+// Accounts with the most followers, for viewers without enough graph to go on
+const getPopularUsers = async (excludedIds, limit) => {
+  const popular = await User.find({ _id: { $nin: excludedIds } })
+    .select('_id')
+    .sort({ followerCount: -1, _id: 1 })
+    .limit(limit);
+  
+  return popular.map(({ _id }) => ({ id: _id, reason: 'Popular on Chirp' }));
+};
+
+/**
+ * Suggest accounts for the viewer to follow, best first, each with a reason.
+ * Candidates come from the follow graph (accounts followed by people the
+ * viewer follows, accounts that follow the viewer, accounts followed by the
+ * viewer's followers) and from shared likes and retweets, topped up with
+ * popular accounts when there aren't enough.
+ */
+const getSuggestions = async (viewer, limit) => {
+  // Aggregations don't cast, and some IDs arrive as strings
+  const excludedIds = (await getExcludedIds(viewer)).map(id => new mongoose.Types.ObjectId(String(id)));
+  const { add, candidates } = createTally(excludedIds);
+  
+  const [followingIds, recentFollowers] = await Promise.all([
+    getFollowingIds(viewer),
+    Follow.find({ following: viewer._id })
+      .select('follower')
+      .sort({ createdAt: -1 })
+      .limit(MAX_GRAPH_CANDIDATES)
+  ]);
+  const followerIds = recentFollowers.map(edge => edge.follower);
+  
+  const [followedByFollowing, followedByFollowers] = await Promise.all([
+    countFollowedBy(followingIds, excludedIds),
+    countFollowedBy(followerIds, excludedIds)
+  ]);
+  
+  followedByFollowing.forEach(({ _id, count, via }) => add(_id, 'followedByFollowing', count, via));
+  followerIds.forEach(id => add(id, 'followsYou'));
+  followedByFollowers.forEach(({ _id, count }) => add(_id, 'followedByFollowers', count));
+  
+  await addInteractionSignals(viewer, add);
+  
+  // Usernames of the follows credited in reasons
+  const credited = await User.find({ _id: { $in: followedByFollowing.map(entry => entry.via) } }).select('username');
+  const usernames = new Map(credited.map(user => [user._id.toString(), user.username]));
+  
+  const ranked = [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(candidate => ({
+      id: candidate.id,
+      reason: describeReason(candidate, usernames),
+      mutualCount: candidate.signals.followedByFollowing || 0
+    }));
+  
+  if (ranked.length < limit) {
+    const popular = await getPopularUsers(
+      [...excludedIds, ...ranked.map(candidate => candidate.id)],
+      limit - ranked.length
+    );
+    ranked.push(...popular.map(candidate => ({ ...candidate, mutualCount: 0 })));
+  }
+  
+  // Load profiles, dropping accounts deleted since the graph was read
+  const users = await User.find({ _id: { $in: ranked.map(candidate => candidate.id) } })
+    .select(SUGGESTION_FIELDS);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  
+  return ranked
+    .filter(candidate => usersById.has(candidate.id.toString()))
+    .map(candidate => {
+      const user = usersById.get(candidate.id.toString());
+      
+      return {
+        _id: user._id,
+        name: user.name,
+        username: user.username,
+        profileImage: user.profileImage,
+        bio: user.bio,
+        isProtected: user.isProtected,
+        reason: candidate.reason,
+        mutualCount: candidate.mutualCount
+      };
+    });
+};
+
+module.exports = { getSuggestions };
@@ -0,0 +1,161 @@
+
+const Tweet = require('../models/Tweet');
+const { tweetPopulate, formatTweets } = require('./formatTweets');
+const { getBlockedUserIds } = require('./relationships');
+
+const DEFAULTS = { depth: 3, breadth: 10, sort: 'chronological' };
+const LIMITS = { depth: 10, breadth: 50 };
+const SORT_MODES = ['chronological', 'engagement'];
+
+// Guards against malformed reply chains when walking up to the root
+const MAX_ANCESTORS = 100;
+
+// Parse and clamp thread options from the query string, or null if invalid
+const parseThreadOptions = (query) => {
+  const clamp = (value, fallback, max) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : Math.min(Math.max(parsed, 0), max);
+  };
+  
+  const sort = query.sort || DEFAULTS.sort;
+  
+  if (!SORT_MODES.includes(sort)) {
+    return null;
+  }
+  
+  return {
+    depth: clamp(query.depth, DEFAULTS.depth, LIMITS.depth),
+    breadth: clamp(query.breadth, DEFAULTS.breadth, LIMITS.breadth),
+    sort
+  };
+};
+
+// Walk replyTo links up to the root, returning ancestors root-first
+const getAncestors = async (tweet) => {
+  const ancestors = [];
+  let parentId = tweet.replyTo && (tweet.replyTo._id || tweet.replyTo);
+  
+  while (parentId && ancestors.length < MAX_ANCESTORS) {
+    const parent = await Tweet.findById(parentId).populate(tweetPopulate);
+    
+    // Stop at deleted tweets
+    if (!parent) break;
+    
+    ancestors.unshift(parent);
+    parentId = parent.replyTo && parent.replyTo._id;
+  }
+  
+  return ancestors;
+};
+
+// Aggregation stages ordering replies for each sort mode
+const replySortStages = {
+  // Oldest first, so the conversation reads top to bottom
+  chronological: [{ $sort: { createdAt: 1, _id: 1 } }],
+  // Most liked and retweeted first, oldest first on ties
+  engagement: [
+    { $addFields: { engagement: { $add: ['$likeCount', '$retweetCount'] } } },
+    { $sort: { engagement: -1, createdAt: 1, _id: 1 } }
+  ]
+};
+
+// IDs of the first `breadth` replies to each parent, in order, limited per parent in the database
+const getReplyIds = async (parentIds, { breadth, sort }, blockedIds) => {
+  const parents = await Tweet.aggregate([
+    { $match: { _id: { $in: parentIds } } },
+    {
+      $lookup: {
+        from: Tweet.collection.name,
+        let: { parentId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$replyTo', '$$parentId'] }, user: { $nin: blockedIds } } },
+          ...replySortStages[sort],
+          { $limit: breadth },
+          { $project: { _id: 1 } }
+        ],
+        as: 'replies'
+      }
+    },
+    { $project: { replies: '$replies._id' } }
+  ]);
+  
+  return new Map(parents.map(({ _id, replies }) => [_id.toString(), replies]));
+};
+
+// Load descendants level by level, keeping at most `breadth` replies per tweet
+const getDescendants = async (tweet, options, blockedIds) => {
+  const childrenByParent = new Map();
+  let parentIds = [tweet._id];
+  
+  for (let level = 0; level < options.depth && options.breadth > 0 && parentIds.length > 0; level++) {
+    const replyIdsByParent = await getReplyIds(parentIds, options, blockedIds);
+    const replies = await Tweet.find({ _id: { $in: [...replyIdsByParent.values()].flat() } })
+      .populate(tweetPopulate);
+    const repliesById = new Map(replies.map(reply => [reply._id.toString(), reply]));
+    
+    parentIds = [];
+    
+    for (const [parentId, replyIds] of replyIdsByParent) {
+      const kept = replyIds
+        .map(id => repliesById.get(id.toString()))
+        .filter(Boolean);
+      
+      if (kept.length === 0) continue;
+      
+      childrenByParent.set(parentId, kept);
+      parentIds.push(...kept.map(child => child._id));
+    }
+  }
+  
+  return childrenByParent;
+};
+
+/**
+ * Build the full conversation around a tweet: the ancestor chain up to the
+ * root, and a tree of descendant replies limited by depth and breadth.
+ * Returns null if the tweet is hidden from the viewer.
+ */
+const getThread = async (tweet, viewer, options) => {
+  const blockedIds = await getBlockedUserIds(viewer);
+  const [ancestors, childrenByParent] = await Promise.all([
+    getAncestors(tweet),
+    getDescendants(tweet, options, blockedIds)
+  ]);
+  
+  // Tweets by restricted users, and replies under them, are dropped by the formatter
+  const descendants = [...childrenByParent.values()].flat();
+  const formatted = await formatTweets([...ancestors, tweet, ...descendants], viewer);
+  const formattedById = new Map(formatted.map(item => [item._id.toString(), item]));
+  
+  // The tweet itself is hidden from the viewer
+  if (!formattedById.has(tweet._id.toString())) {
+    return null;
+  }
+  
+  // Attach replies recursively, flagging tweets with replies left out by the limits
+  const buildNode = (doc) => {
+    const node = formattedById.get(doc._id.toString());
+    const children = childrenByParent.get(doc._id.toString()) || [];
+    const replies = children
+      .filter(child => formattedById.has(child._id.toString()))
+      .map(buildNode);
+    
+    return {
+      ...node,
+      replies,
+      hasMoreReplies: node.replyCount > replies.length
+    };
+  };
+  
+  return {
+    ancestors: ancestors
+      .map(doc => formattedById.get(doc._id.toString()))
+      .filter(Boolean),
+    tweet: buildNode(tweet)
+  };
+};
+
+module.exports = {
+  parseThreadOptions,
+  getThread
+};
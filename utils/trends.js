@@ -0,0 +1,100 @@
+
+const Tweet = require('../models/Tweet');
+const Trend = require('../models/Trend');
+
+// Length of the sliding window trends are ranked over
+const TREND_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// Minimum tweets in the current window before a hashtag can trend
+const MIN_RECENT_COUNT = 2;
+
+// Increment counts for hashtags used in a new tweet
+const recordHashtags = async (hashtags) => {
+  if (!hashtags || hashtags.length === 0) return;
+  
+  const now = new Date();
+  
+  await Trend.bulkWrite(hashtags.map(hashtag => ({
+    updateOne: {
+      filter: { hashtag },
+      update: { $inc: { tweetCount: 1 }, $set: { lastTweetAt: now } },
+      upsert: true
+    }
+  })));
+};
+
+// Decrement counts for hashtags of removed tweets, dropping unused trends
+const releaseHashtags = async (hashtags) => {
+  if (!hashtags || hashtags.length === 0) return;
+  
+  // Count each hashtag once per removed tweet
+  const counts = hashtags.reduce((acc, hashtag) => {
+    acc[hashtag] = (acc[hashtag] || 0) + 1;
+    return acc;
+  }, {});
+  
+  await Trend.bulkWrite(Object.entries(counts).map(([hashtag, count]) => ({
+    updateOne: {
+      filter: { hashtag },
+      update: { $inc: { tweetCount: -count } }
+    }
+  })));
+  
+  await Trend.deleteMany({ hashtag: { $in: Object.keys(counts) }, tweetCount: { $lte: 0 } });
+};
+
+/**
+ * Rank hashtags by how fast they are growing. Usage in the current window is
+ * compared with the window before it, so a tag that jumps from 2 to 40 chirps
+ * outranks one that steadily gets 50.
+ */
+const getTrending = async (limit = 10) => {
+  const now = Date.now();
+  const windowStart = new Date(now - TREND_WINDOW_MS);
+  const previousWindowStart = new Date(now - 2 * TREND_WINDOW_MS);
+  
+  const usage = await Tweet.aggregate([
+    { $match: { createdAt: { $gte: previousWindowStart }, 'hashtags.0': { $exists: true } } },
+    { $unwind: '$hashtags' },
+    {
+      $group: {
+        _id: '$hashtags',
+        recentCount: { $sum: { $cond: [{ $gte: ['$createdAt', windowStart] }, 1, 0] } },
+        previousCount: { $sum: { $cond: [{ $lt: ['$createdAt', windowStart] }, 1, 0] } }
+      }
+    },
+    { $match: { recentCount: { $gte: MIN_RECENT_COUNT } } }
+  ]);
+  
+  const ranked = usage
+    .map(({ _id, recentCount, previousCount }) => {
+      const growth = (recentCount + 1) / (previousCount + 1);
+      return { hashtag: _id, recentCount, growth, score: recentCount * growth };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+  
+  const trends = await Trend.find({ hashtag: { $in: ranked.map(r => r.hashtag) } });
+  const trendsByHashtag = new Map(trends.map(trend => [trend.hashtag, trend]));
+  
+  return ranked
+    .filter(r => trendsByHashtag.has(r.hashtag))
+    .map(r => {
+      const trend = trendsByHashtag.get(r.hashtag);
+      
+      return {
+        _id: trend._id,
+        hashtag: trend.hashtag,
+        tweetCount: trend.tweetCount,
+        category: trend.category,
+        recentCount: r.recentCount,
+        growth: Math.round(r.growth * 100) / 100
+      };
+    });
+};
+
+module.exports = {
+  recordHashtags,
+  releaseHashtags,
+  getTrending
+};
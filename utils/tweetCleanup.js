@@ -0,0 +1,48 @@
+
+const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const Bookmark = require('../models/Bookmark');
+const Like = require('../models/Like');
+const { releaseHashtags } = require('./trends');
+
+/**
+ * Delete original tweets along with every reply beneath them, retweet entries
+ * of any of these, notifications about them, and likes and bookmarks of them,
+ * then update trend counts for hashtags that are no longer in use. Retweet
+ * entries should be removed with unretweet logic instead.
+ */
+const deleteTweets = async (tweets) => {
+  if (tweets.length === 0) return;
+  
+  const tweetIds = tweets.map(tweet => tweet._id);
+  
+  // Collect replies level by level down the whole thread, so their hashtags can be released too
+  const replies = [];
+  let parentIds = tweetIds;
+  
+  while (parentIds.length > 0) {
+    const level = await Tweet.find({ replyTo: { $in: parentIds } }).select('hashtags');
+    replies.push(...level);
+    parentIds = level.map(reply => reply._id);
+  }
+  
+  const ids = [...tweetIds, ...replies.map(reply => reply._id)];
+  
+  // Delete the tweets and all replies beneath them
+  await Tweet.deleteMany({ _id: { $in: ids } });
+  
+  // Delete retweet entries of the tweets and their replies
+  await Tweet.deleteMany({ retweetData: { $in: ids } });
+  
+  await releaseHashtags([
+    ...tweets.flatMap(tweet => tweet.hashtags),
+    ...replies.flatMap(reply => reply.hashtags)
+  ]);
+  
+  // Delete all notifications related to the tweets and replies, and likes and bookmarks of them
+  await Notification.deleteMany({ tweet: { $in: ids } });
+  await Like.deleteMany({ tweet: { $in: ids } });
+  await Bookmark.deleteMany({ tweet: { $in: ids } });
+};
+
+module.exports = { deleteTweets };
@@ -0,0 +1,77 @@
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyCode } = require('./totp');
+const { hashToken } = require('./sessions');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Fields holding 2FA secrets, which are not selected by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// Issue a short-lived token proving the password step of a 2FA login succeeded
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Read the user ID from a challenge token, or null if it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate one-time backup codes; returns the codes to show once and the hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+/**
+ * Check an authenticator code or a backup code for a user loaded with
+ * TWO_FACTOR_FIELDS. Used codes are recorded on the user (codes can't be
+ * replayed, backup codes are removed), so the caller must save the user when
+ * this returns true.
+ */
+const verifySecondFactor = (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, String(code));
+    
+    if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+      return false;
+    }
+    
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+  
+  if (backupCode) {
+    const hash = hashToken(String(backupCode).trim().toLowerCase());
+    
+    if (!user.twoFactor.backupCodes.includes(hash)) {
+      return false;
+    }
+    
+    user.twoFactor.backupCodes.pull(hash);
+    return true;
+  }
+  
+  return false;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateBackupCodes,
+  verifySecondFactor
+};